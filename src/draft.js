@@ -0,0 +1,760 @@
+/**
+ * Drafts for isolating changes to shared data.
+ */
+
+
+// imports
+import {
+  isObject, isArray, clone,
+} from './utils';
+
+
+/**
+ * Sentinel for properties removed from draft.
+ */
+const REMOVED = {};
+
+
+/**
+ * Empty map used for drafts without changes.
+ */
+const EMPTY = new Map();
+
+
+/**
+ * Key for accessing the node managing a draft.
+ */
+const NODE = Symbol('node');
+
+
+/**
+ * Check if object has own property.
+ */
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+
+/**
+ * Check if value is a draft proxy.
+ *
+ * @param {object} value - Value to check.
+ */
+export function isDraft(value) {
+  return (isObject(value) || isArray(value)) && typeof value[NODE] !== 'undefined';
+}
+
+
+/**
+ * Get value to write through to shared data for live drafts. Live
+ * drafts change their shared data in place, and other drafts are
+ * resolved into new data.
+ *
+ * @param {object} value - Value written to draft.
+ */
+function resolve(value) {
+  if (!isDraft(value)) {
+    return value;
+  }
+  const node = value[NODE];
+  return node.isLive() ? node.base : finalize(value); // eslint-disable-line no-use-before-define
+}
+
+
+/**
+ * Proxy handler for object drafts, recording writes by key.
+ */
+const OBJECT_HANDLER = {
+  get(target, prop) {
+    const node = target[NODE];
+    if (prop === NODE) {
+      return node;
+    } else if (typeof prop === 'symbol') {
+      return node.base[prop];
+    }
+    if (node.writes.has(prop)) {
+      const value = node.writes.get(prop);
+      return (value === REMOVED) ? undefined : value;
+    }
+    node.see(prop);
+    const value = node.base[prop];
+    if ((isObject(value) || isArray(value)) && hasOwn(node.base, prop)) {
+      return node.child(prop, value);
+    }
+    return value;
+  },
+  set(target, prop, value) {
+    target[NODE].write(prop, value);
+    return true;
+  },
+  deleteProperty(target, prop) {
+    target[NODE].write(prop, REMOVED);
+    return true;
+  },
+  has(target, prop) {
+    return target[NODE].has(prop);
+  },
+  ownKeys(target) {
+    return target[NODE].keys();
+  },
+  getOwnPropertyDescriptor(target, prop) {
+    const node = target[NODE];
+    if (!node.has(prop)) {
+      return undefined;
+    }
+    return {
+      value: node.writes.has(prop) ? node.writes.get(prop) : node.base[prop],
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    };
+  },
+};
+
+
+/**
+ * Proxy handler for array drafts, copying the array on first change.
+ */
+const ARRAY_HANDLER = {
+  get(target, prop) {
+    const node = target[NODE];
+    if (prop === NODE) {
+      return node;
+    }
+    const source = node.source();
+    const value = source[prop];
+    if ((isObject(value) || isArray(value)) && !isDraft(value) && hasOwn(source, prop)) {
+      const copy = node.ensure();
+      // eslint-disable-next-line no-use-before-define
+      copy[prop] = new DraftNode(value, node, prop).proxy;
+      return copy[prop];
+    }
+    return value;
+  },
+  set(target, prop, value) {
+    const node = target[NODE];
+    node.ensure()[prop] = value;
+    node.touch();
+    return true;
+  },
+  deleteProperty(target, prop) {
+    const node = target[NODE];
+    delete node.ensure()[prop];
+    node.touch();
+    return true;
+  },
+  has(target, prop) {
+    return prop in target[NODE].source();
+  },
+  ownKeys(target) {
+    return Reflect.ownKeys(target[NODE].source());
+  },
+  getOwnPropertyDescriptor(target, prop) {
+    return Reflect.getOwnPropertyDescriptor(target[NODE].source(), prop);
+  },
+};
+
+
+/**
+ * Class for tracking changes made to a draft of shared data,
+ * without changing the shared data. Object drafts record writes
+ * by key and array drafts are copied on their first change.
+ *
+ * Drafts can also start out live, writing changes to objects
+ * through to the shared data and logging the values they replace,
+ * so changes are only isolated once the draft needs to be.
+ */
+class DraftNode {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {object} base - Shared data to draft changes for.
+   * @param {DraftNode} parent - Node for parent draft.
+   * @param {string} key - Key for data in parent data.
+   */
+  constructor(base, parent, key) {
+    this.base = base;
+    this.parent = parent || null;
+    this.key = key;
+    this.copy = null;
+    this.writes = EMPTY;
+    this.children = EMPTY;
+    this.seen = EMPTY;
+    this.logged = EMPTY;
+    this.modified = false;
+
+    // nodes share the log of live writes, and data in arrays is always isolated
+    this.tree = parent ? parent.tree : { live: false, log: [], keys: new Set() };
+    this.direct = !isArray(base) && (!parent || parent.direct);
+
+    // use empty target so shared data can change underneath draft
+    const target = isArray(base) ? [] : {};
+    target[NODE] = this;
+    this.proxy = new Proxy(target, isArray(base) ? ARRAY_HANDLER : OBJECT_HANDLER);
+  }
+
+  /**
+   * Check if changes to draft are written through to shared data.
+   */
+  isLive() {
+    return this.direct && this.tree.live;
+  }
+
+  /**
+   * Get top-level key in root data for key in draft.
+   *
+   * @param {string} key - Key in draft.
+   */
+  root(key) {
+    let node = this;
+    let result = key;
+    while (node.parent !== null) {
+      result = node.key;
+      node = node.parent;
+    }
+    return result;
+  }
+
+  /**
+   * Mark draft and parent drafts as modified.
+   */
+  touch() {
+    let node = this;
+    while (node !== null && !node.modified) {
+      node.modified = true;
+      node = node.parent;
+    }
+  }
+
+  /**
+   * Record base value for key on first access, used for
+   * detecting conflicting changes to shared data.
+   *
+   * @param {string} key - Key accessed in draft.
+   */
+  see(key) {
+    if (this.seen === EMPTY) {
+      this.seen = new Map();
+    }
+    if (!this.seen.has(key)) {
+      this.seen.set(key, this.base[key]);
+    }
+  }
+
+  /**
+   * Record write to object draft.
+   *
+   * @param {string} key - Key to write.
+   * @param {object} value - Value to write, or removal sentinel.
+   */
+  write(key, value) {
+    this.see(key);
+    if (this.isLive()) {
+      this.pass(key, value);
+    }
+    if (this.writes === EMPTY) {
+      this.writes = new Map();
+    }
+    this.writes.set(key, value);
+    this.children.delete(key);
+    this.touch();
+  }
+
+  /**
+   * Write value through to shared data for live draft, logging
+   * the value it replaces on the first write to the key.
+   *
+   * @param {string} key - Key to write.
+   * @param {object} value - Value to write, or removal sentinel.
+   */
+  pass(key, value) {
+    if (this.logged === EMPTY) {
+      this.logged = new Set();
+    }
+    if (!this.logged.has(key)) {
+      this.logged.add(key);
+      this.tree.log.push([this, key, hasOwn(this.base, key) ? this.base[key] : REMOVED]);
+    }
+    this.tree.keys.add(this.root(key));
+    if (value === REMOVED) {
+      delete this.base[key];
+    } else {
+      this.base[key] = resolve(value);
+    }
+  }
+
+  /**
+   * Get child draft for nested data.
+   *
+   * @param {string} key - Key for nested data.
+   * @param {object} value - Nested data to draft.
+   */
+  child(key, value) {
+    if (this.children === EMPTY) {
+      this.children = new Map();
+    }
+    if (!this.children.has(key)) {
+      this.children.set(key, new DraftNode(value, this, key));
+    }
+    return this.children.get(key).proxy;
+  }
+
+  /**
+   * Get current data for array draft.
+   */
+  source() {
+    return this.copy || this.base;
+  }
+
+  /**
+   * Copy array draft if it hasn't been copied.
+   */
+  ensure() {
+    if (this.copy === null) {
+      this.copy = this.base.slice();
+    }
+    return this.copy;
+  }
+
+  /**
+   * Check if object draft has key.
+   *
+   * @param {string} key - Key to check.
+   */
+  has(key) {
+    if (this.writes.has(key)) {
+      return this.writes.get(key) !== REMOVED;
+    }
+    return key in this.base;
+  }
+
+  /**
+   * Get keys for object draft.
+   */
+  keys() {
+    const self = this;
+    if (self.writes.size === 0) {
+      return Reflect.ownKeys(self.base);
+    }
+    const result = Reflect.ownKeys(self.base).filter(key => self.writes.get(key) !== REMOVED);
+    self.writes.forEach((value, key) => {
+      if (value !== REMOVED && !hasOwn(self.base, key)) {
+        result.push(key);
+      }
+    });
+    return result;
+  }
+}
+
+
+/**
+ * Create draft for shared data. Changes made to the draft are
+ * isolated from the shared data until they are applied, unless
+ * the draft is live.
+ *
+ * @param {object} base - Shared data to create draft for.
+ * @param {boolean} live - Whether or not to write changes through
+ *     to the shared data until the draft is isolated.
+ */
+export function createDraft(base, live = false) {
+  const node = new DraftNode(base);
+  node.tree.live = live;
+  return node.proxy;
+}
+
+
+/**
+ * Clear log of live writes for draft.
+ *
+ * @param {object} tree - Log shared by nodes in draft.
+ */
+function clearLog(tree) {
+  tree.log.forEach(([node]) => {
+    node.logged = EMPTY;
+  });
+  tree.log = [];
+  tree.keys = new Set();
+}
+
+
+/**
+ * Get top-level keys changed by writing through a live draft.
+ *
+ * @param {object} draft - Draft to get keys for.
+ */
+export function liveKeys(draft) {
+  return draft[NODE].tree.keys;
+}
+
+
+/**
+ * Isolate live draft, reverting changes written through to the
+ * shared data so they are only kept in the draft.
+ *
+ * @param {object} draft - Draft to isolate.
+ */
+export function isolate(draft) {
+  const tree = draft[NODE].tree;
+  tree.log.slice().reverse().forEach(([node, key, value]) => {
+    if (value === REMOVED) {
+      delete node.base[key];
+    } else {
+      node.base[key] = value;
+    }
+  });
+  clearLog(tree);
+  tree.live = false;
+}
+
+
+/**
+ * Get plain data for value, resolving any drafts into new
+ * data with changes applied.
+ *
+ * @param {object} value - Value to finalize.
+ */
+export function finalize(value) {
+  if (!isDraft(value)) {
+    return clone(value);
+  }
+  const node = value[NODE];
+  if (!node.modified) {
+    return node.base;
+  }
+
+  // arrays
+  if (isArray(node.base)) {
+    return node.copy.map(item => finalize(item));
+  }
+
+  // objects
+  const result = {};
+  node.keys().forEach((key) => {
+    if (node.writes.has(key)) {
+      result[key] = finalize(node.writes.get(key));
+    } else if (node.children.has(key)) {
+      result[key] = finalize(node.children.get(key).proxy);
+    } else {
+      result[key] = node.base[key];
+    }
+  });
+  return result;
+}
+
+
+/**
+ * Get list of changes made to draft. Each change has an `op`
+ * (add, remove, or replace), `path` array, `value`, and the
+ * `original` value the draft saw at that path.
+ *
+ * @param {object} draft - Draft to get changes for.
+ */
+export function changes(draft) {
+  const result = [];
+  const walk = (node, path) => {
+    if (!node.modified) {
+      return;
+    }
+
+    // live writes are already applied, apart from changes to isolated drafts
+    if (node.isLive()) {
+      node.writes.forEach((value, key) => {
+        if (!isDraft(value)) {
+          return;
+        }
+        const child = value[NODE];
+        if (child.isLive()) {
+          walk(child, path.concat(key));
+        } else if (child.modified) {
+          result.push({
+            op: 'replace', path: path.concat(key), value: finalize(value), original: node.base[key],
+          });
+        }
+      });
+      node.children.forEach((child, key) => walk(child, path.concat(key)));
+      return;
+    }
+
+    // arrays are replaced on change
+    if (isArray(node.base)) {
+      result.push({
+        op: 'replace', path, value: finalize(node.proxy), original: node.base,
+      });
+      return;
+    }
+
+    // explicit writes
+    node.writes.forEach((value, key) => {
+      const original = node.seen.get(key);
+      const exists = hasOwn(node.base, key);
+      if (value === REMOVED) {
+        if (exists) {
+          result.push({ op: 'remove', path: path.concat(key), original });
+        }
+      } else {
+        result.push({
+          op: exists ? 'replace' : 'add', path: path.concat(key), value: finalize(value), original,
+        });
+      }
+    });
+
+    // nested changes
+    node.children.forEach((child, key) => walk(child, path.concat(key)));
+  };
+  walk(draft[NODE], []);
+  return result;
+}
+
+
+/**
+ * Reset draft after changes have been applied to the shared data,
+ * so further changes are tracked against the updated data.
+ *
+ * @param {object} draft - Draft to reset.
+ * @param {object} base - Updated shared data for draft.
+ */
+export function resetDraft(draft, base) {
+  const node = draft[NODE];
+  clearLog(node.tree);
+  node.base = base;
+  node.copy = null;
+  node.writes = EMPTY;
+  node.children = EMPTY;
+  node.seen = EMPTY;
+  node.modified = false;
+}
+
+
+/**
+ * Key for accessing the node managing a copy-on-write proxy.
+ */
+const COPY = Symbol('copy');
+
+
+/**
+ * Create shallow copy of data. Keys are copied individually, since
+ * spreading objects of different shapes is slow for large objects.
+ *
+ * @param {object} data - Data to copy.
+ */
+function copy(data) {
+  if (isArray(data)) {
+    return data.slice();
+  }
+  const result = {};
+  const keys = Object.keys(data);
+  for (let index = 0; index < keys.length; index += 1) {
+    result[keys[index]] = data[keys[index]];
+  }
+  return result;
+}
+
+
+/**
+ * Proxy handler for copy-on-write data, copying data on the
+ * first change after it was shared.
+ */
+const COPY_HANDLER = {
+  get(target, prop) {
+    const node = target[COPY];
+    if (prop === COPY) {
+      return node;
+    }
+    const value = node.data[prop];
+    if (typeof prop !== 'symbol' && (isObject(value) || isArray(value)) && hasOwn(node.data, prop)) {
+      return node.child(prop, value);
+    }
+    return value;
+  },
+  set(target, prop, value) {
+    target[COPY].write(prop, clone(value));
+    return true;
+  },
+  deleteProperty(target, prop) {
+    target[COPY].remove(prop);
+    return true;
+  },
+  has(target, prop) {
+    return prop in target[COPY].data;
+  },
+  ownKeys(target) {
+    return Reflect.ownKeys(target[COPY].data);
+  },
+  getOwnPropertyDescriptor(target, prop) {
+    return Reflect.getOwnPropertyDescriptor(target[COPY].data, prop);
+  },
+};
+
+
+/**
+ * Class for managing copy-on-write proxies for nested data. Data is
+ * shared until it is changed, at which point the data and its parents
+ * are copied, so unchanged data is shared between copies.
+ */
+class CopyNode {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {object} tree - Version shared by all nodes for the data,
+   *     which changes whenever the data is shared, and paths changed
+   *     since then.
+   * @param {object} data - Data to manage.
+   * @param {CopyNode} parent - Node for parent data.
+   * @param {string} key - Key for data in parent data.
+   */
+  constructor(tree, data, parent, key) {
+    this.tree = tree;
+    this.data = data;
+    this.parent = parent || null;
+    this.key = key;
+    this.version = -1;
+    this.children = EMPTY;
+
+    // use empty target so data can be swapped for copies
+    const target = isArray(data) ? [] : {};
+    target[COPY] = this;
+    this.proxy = new Proxy(target, COPY_HANDLER);
+  }
+
+  /**
+   * Get proxy for nested data, reusing existing proxies.
+   *
+   * @param {string} key - Key for nested data.
+   * @param {object} value - Nested data.
+   */
+  child(key, value) {
+    if (this.children === EMPTY) {
+      this.children = new Map();
+    }
+    const node = this.children.get(key);
+    if (node && node.data === value) {
+      return node.proxy;
+    }
+    const created = new CopyNode(this.tree, value, this, key);
+    this.children.set(key, created);
+    return created.proxy;
+  }
+
+  /**
+   * Copy data and parent data if they are shared. Nodes for data
+   * replaced in their parent are detached, so their changes
+   * aren't applied to the parent.
+   *
+   * @returns {boolean} Whether or not node is attached to root data.
+   */
+  ensure() {
+    let attached = true;
+    if (this.parent !== null) {
+      attached = this.parent.ensure() && this.parent.data[this.key] === this.data;
+    }
+    if (this.version !== this.tree.version) {
+      this.data = copy(this.data);
+      this.version = this.tree.version;
+      if (attached && this.parent !== null) {
+        this.parent.data[this.key] = this.data;
+      }
+    }
+    return attached;
+  }
+
+  /**
+   * Get path to data from root data.
+   */
+  path() {
+    const path = [];
+    let node = this;
+    while (node.parent !== null) {
+      path.unshift(node.key);
+      node = node.parent;
+    }
+    return path;
+  }
+
+  /**
+   * Copy shared data before changing key, recording the changed
+   * path. Arrays are recorded as changed as a whole, since changes
+   * to arrays can shift their contents.
+   *
+   * @param {string} key - Key to change.
+   */
+  change(key) {
+    if (this.ensure()) {
+      this.tree.paths.push(isArray(this.data) ? this.path() : this.path().concat(key));
+    }
+  }
+
+  /**
+   * Write value to data.
+   *
+   * @param {string} key - Key to write.
+   * @param {object} value - Value to write.
+   */
+  write(key, value) {
+    this.change(key);
+    this.data[key] = value;
+  }
+
+  /**
+   * Remove key from data.
+   *
+   * @param {string} key - Key to remove.
+   */
+  remove(key) {
+    this.change(key);
+    delete this.data[key];
+  }
+}
+
+
+/**
+ * Create copy-on-write proxy for data. Changes made through the
+ * proxy only copy the data they change, so the original data is
+ * never changed.
+ *
+ * @param {object} base - Data to create proxy for.
+ */
+export function createCopy(base) {
+  return new CopyNode({ version: 0, paths: [] }, base).proxy;
+}
+
+
+/**
+ * Get paths changed through copy-on-write proxy since its data
+ * was last shared.
+ *
+ * @param {object} copy - Copy-on-write proxy to get paths for.
+ */
+export function copyChanges(copy) {
+  return copy[COPY].tree.paths;
+}
+
+
+/**
+ * Get data with changes made through copy-on-write proxy. The
+ * data is shared afterwards, so further changes copy it again.
+ *
+ * @param {object} copy - Copy-on-write proxy to get data for.
+ */
+export function commitCopy(copy) {
+  const node = copy[COPY];
+  node.tree.version += 1;
+  node.tree.paths = [];
+  return node.data;
+}
+
+
+/**
+ * Discard changes made through copy-on-write proxy, sharing
+ * new data for further changes.
+ *
+ * @param {object} copy - Copy-on-write proxy to reset.
+ * @param {object} base - Data to use for proxy.
+ */
+export function resetCopy(copy, base) {
+  const node = copy[COPY];
+  node.tree.version += 1;
+  node.tree.paths = [];
+  node.data = base;
+}
@@ -1,2 +1,185 @@
+/**
+ * Angular module for Auora
+ */
 
-export default {};
+
+// imports
+// -------
+import { InjectionToken, NgModule, NgZone } from '@angular/core';
+import { Observable } from 'rxjs';
+import { distinctUntilChanged } from 'rxjs/operators';
+import { EVENTS, resolveModule } from '../store';
+import { isFunction, isPromise } from '../utils';
+
+
+// helpers
+// -------
+/**
+ * Token for injecting the store provided via `provideAuora()`.
+ */
+export const STORE = new InjectionToken('AuoraStore');
+
+
+/**
+ * Normalize state key or selector into selector function. Keys
+ * can be namespaced to select state in modules (i.e. `profile/name`).
+ *
+ * @param {string, function} selector - State key or function
+ *     taking `state` and `store`, and returning selected data.
+ */
+function createSelector(selector) {
+  if (isFunction(selector)) {
+    return selector;
+  }
+  return (state, store) => {
+    const [target, local] = resolveModule(store, selector);
+    return target.state[local];
+  };
+}
+
+
+// service
+// -------
+/**
+ * Injectable service exposing store state as RxJS observables.
+ * Observables emit and promises from actions resolve inside the
+ * Angular zone, so change detection runs after changes made outside
+ * of it (i.e. in async actions resolved by third-party libraries).
+ */
+export class AuoraService {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {Store} store - Store to expose.
+   * @param {NgZone} zone - Zone for running change detection.
+   */
+  constructor(store, zone) {
+    this.store = store;
+    this.zone = zone;
+  }
+
+  /**
+   * Run callback inside the Angular zone.
+   *
+   * @param {function} callback - Callback to run.
+   */
+  run(callback) {
+    if (NgZone.isInAngularZone()) {
+      return callback();
+    }
+    return this.zone.run(callback);
+  }
+
+  /**
+   * Select data from store state as an observable, emitting the
+   * current value on subscription and new values whenever the
+   * selected data changes.
+   *
+   * @param {string, function} selector - State key or function
+   *     taking `state` and `store`, and returning selected data.
+   * @param {function} equalityFn - Function for comparing selected
+   *     data, defaulting to strict equality.
+   * @returns {Observable} Observable for selected data.
+   */
+  select(selector, equalityFn) {
+    const self = this;
+    const select = createSelector(selector);
+    return new Observable((subscriber) => {
+      const emit = () => {
+        let value;
+        try {
+          value = select(self.store.state, self.store);
+        } catch (err) {
+          subscriber.error(err);
+          return;
+        }
+        self.run(() => subscriber.next(value));
+      };
+      const removers = EVENTS.map(event => self.store.events.subscribe(event, emit));
+      emit();
+      return () => removers.forEach(remove => remove());
+    }).pipe(distinctUntilChanged(equalityFn));
+  }
+
+  /**
+   * Commit mutation for store.
+   *
+   * @param {string} name - Name of mutation to commit.
+   * @param {object} payload - Arguments for mutation.
+   */
+  commit(name, ...payload) {
+    return this.store.commit(name, ...payload);
+  }
+
+  /**
+   * Dispatch action for store. Promises for async actions settle
+   * inside the Angular zone and keep their `cancel()` method.
+   *
+   * @param {string} name - Name of action to dispatch.
+   * @param {object} payload - Arguments for action.
+   */
+  dispatch(name, ...payload) {
+    const self = this;
+    const result = self.store.dispatch(name, ...payload);
+    if (!isPromise(result)) {
+      return result;
+    }
+    const promise = new Promise((resolve, reject) => {
+      result.then(
+        value => self.run(() => resolve(value)),
+        err => self.run(() => reject(err)),
+      );
+    });
+    if (result.cancel) {
+      promise.cancel = result.cancel;
+    }
+    return promise;
+  }
+}
+
+
+// module
+// ------
+/**
+ * Create providers for store and `AuoraService`, for listing in
+ * the `providers` of an application's own module. Unlike
+ * `AuoraModule`, this works with ahead-of-time compilation.
+ *
+ * @param {Store} store - Store to provide.
+ */
+export function provideAuora(store) {
+  return [
+    { provide: STORE, useValue: store },
+    {
+      provide: AuoraService,
+      useFactory: (value, zone) => new AuoraService(value, zone),
+      deps: [STORE, NgZone],
+    },
+  ];
+}
+
+
+/**
+ * Module for providing stores to Angular applications. The module
+ * is declared at runtime, so it can only be imported by applications
+ * using just-in-time compilation.
+ */
+export class AuoraModule {
+
+  /**
+   * Create module with providers for store and `AuoraService`.
+   *
+   * @param {Store} store - Store to provide.
+   */
+  static forRoot(store) {
+    return {
+      ngModule: AuoraModule,
+      providers: provideAuora(store),
+    };
+  }
+}
+NgModule({})(AuoraModule);
+
+
+export default AuoraModule;
@@ -0,0 +1,102 @@
+/**
+ * Redux DevTools plugin for Auora
+ */
+
+
+// helpers
+// -------
+/**
+ * Get state for store to report to devtools. State is reported
+ * as snapshot data, so it can be restored via `store.hydrate()`.
+ *
+ * @param {Store} store - Store to get state for.
+ */
+function report(store) {
+  return JSON.parse(store.snapshot());
+}
+
+
+/**
+ * Replace state for store with state from devtools.
+ *
+ * @param {Store} store - Store to replace state for.
+ * @param {object} state - State reported to devtools, or JSON for it.
+ */
+function restore(store, state) {
+  store.hydrate(typeof state === 'string' ? state : JSON.stringify(state));
+}
+
+
+/**
+ * Handle message sent from devtools monitor.
+ *
+ * @param {Store} store - Store to handle message for.
+ * @param {object} connection - Connection to devtools.
+ * @param {object} message - Message sent from devtools.
+ */
+function receive(store, connection, message) {
+  if (message.type !== 'DISPATCH' || !message.payload) {
+    return;
+  }
+  switch (message.payload.type) {
+    // time travel to recorded state
+    case 'JUMP_TO_STATE':
+    case 'JUMP_TO_ACTION':
+      restore(store, message.state);
+      break;
+
+    // revert to last committed state in monitor
+    case 'ROLLBACK':
+      restore(store, message.state);
+      connection.init(report(store));
+      break;
+
+    // restore history exported from monitor
+    case 'IMPORT_STATE': {
+      const lifted = message.payload.nextLiftedState;
+      const states = lifted.computedStates;
+      const index = (typeof lifted.currentStateIndex === 'number')
+        ? lifted.currentStateIndex
+        : states.length - 1;
+      restore(store, states[index].state);
+      connection.send(null, lifted);
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+
+// plugin
+// ------
+/**
+ * Create plugin connecting stores to the Redux DevTools extension,
+ * reporting mutations and actions along with the resulting state,
+ * and restoring state for time-travel debugging.
+ *
+ * @param {object} options - Options with `name` for the store in
+ *     devtools, and `extension` to connect with, defaulting to
+ *     `window.__REDUX_DEVTOOLS_EXTENSION__`.
+ */
+export default function (options = {}) {
+  return (store) => {
+    let extension = options.extension;
+    if (!extension && typeof window !== 'undefined') {
+      extension = window.__REDUX_DEVTOOLS_EXTENSION__; // eslint-disable-line no-underscore-dangle
+    }
+    if (!extension) {
+      return;
+    }
+    const connection = extension.connect({ name: options.name || 'auora' });
+    connection.init(report(store));
+
+    // report mutations and actions, dropping the diff from payloads
+    ['mutate', 'dispatch'].forEach((event) => {
+      store.events.subscribe(event, (name, ...payload) => {
+        connection.send({ type: name, event, payload: payload.slice(0, -1) }, report(store));
+      });
+    });
+    connection.subscribe(message => receive(store, connection, message));
+  };
+}
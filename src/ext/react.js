@@ -1,2 +1,178 @@
+/**
+ * React bindings for Auora
+ */
 
-export default {};
+
+// imports
+// -------
+import {
+  createContext, createElement, useCallback, useContext, useRef, useSyncExternalStore,
+} from 'react';
+import {
+  Store, EVENTS, findModule, resolveModule,
+} from '../store';
+
+
+// helpers
+// -------
+/**
+ * Context for providing stores to components.
+ */
+const StoreContext = createContext(null);
+
+
+/**
+ * Get state for store, or state for each store in a plain
+ * object of stores keyed by module name.
+ *
+ * @param {object, dict} store - Store object or modules.
+ */
+function getState(store) {
+  if (store instanceof Store) {
+    return store.state;
+  }
+  const state = {};
+  Object.keys(store).forEach((key) => {
+    state[key] = store[key].state;
+  });
+  return state;
+}
+
+
+/**
+ * Subscribe to state changes for store, or for each store in
+ * a plain object of stores.
+ *
+ * @param {object, dict} store - Store object or modules.
+ * @param {function} callback - Callback for state changes.
+ * @returns {function} Function for removing subscriptions.
+ */
+function listen(store, callback) {
+  const stores = (store instanceof Store) ? [store] : Object.values(store);
+  const removers = [];
+  stores.forEach((item) => {
+    EVENTS.forEach((event) => {
+      removers.push(item.events.subscribe(event, callback));
+    });
+  });
+  return () => removers.forEach(remove => remove());
+}
+
+
+/**
+ * Select data from store, re-rendering components when
+ * selected data changes. Selections are only re-computed after
+ * state changes or when the selection function changes, and
+ * previous results are kept while they're equal to new results.
+ *
+ * @param {object, dict} store - Store object or modules.
+ * @param {function} select - Function for selecting data.
+ * @param {function} equalityFn - Function for comparing results.
+ */
+function useSelection(store, select, equalityFn = Object.is) {
+  const cache = useRef(null);
+  const subscribe = useCallback(notify => listen(store, () => {
+    if (cache.current) {
+      cache.current.stale = true;
+    }
+    notify();
+  }), [store]);
+  const getSnapshot = () => {
+    const current = cache.current;
+    if (current && !current.stale && current.select === select) {
+      return current.value;
+    }
+    const value = select();
+    cache.current = {
+      select,
+      value: (current && equalityFn(current.value, value)) ? current.value : value,
+    };
+    return cache.current.value;
+  };
+  return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+}
+
+
+// components
+// ----------
+/**
+ * Provider for making store available to nested components.
+ *
+ * @param {object} props - Props with `store` to provide, which
+ *     can be a store or plain object of stores keyed by module name.
+ */
+export function StoreProvider({ store, children }) {
+  return createElement(StoreContext.Provider, { value: store }, children);
+}
+
+
+// hooks
+// -----
+/**
+ * Get store from nearest `StoreProvider`.
+ *
+ * @param {string} name - Optional name of module to get.
+ */
+export function useStore(name) {
+  const store = useContext(StoreContext);
+  if (!store) {
+    throw new Error('No store found. Wrap components with `<StoreProvider store={store}>`.');
+  }
+  return name ? findModule(store, name.split('/')) : store;
+}
+
+
+/**
+ * Select data from store state, re-rendering when the selected
+ * data changes. For plain objects of stores, state is keyed by
+ * module name.
+ *
+ * @param {function} selector - Function taking `state` and `store`,
+ *     and returning selected data. Defaults to a copy of state,
+ *     since stores can update state in place.
+ * @param {function} equalityFn - Function for comparing selected
+ *     data, defaulting to `Object.is`.
+ */
+export function useStoreState(selector = state => ({ ...state }), equalityFn = Object.is) {
+  const store = useStore();
+  return useSelection(store, () => selector(getState(store), store), equalityFn);
+}
+
+
+/**
+ * Get result for store getter, re-rendering when the result
+ * changes.
+ *
+ * @param {string} name - Name of getter, prefixed with module
+ *     name for module getters (i.e. `profile/name`).
+ */
+export function useGetter(name) {
+  const [target, local] = resolveModule(useStore(), name);
+  return useSelection(target, () => target.get[local]);
+}
+
+
+/**
+ * Get function for dispatching store action.
+ *
+ * @param {string} name - Name of action, prefixed with module
+ *     name for module actions (i.e. `profile/save`).
+ */
+export function useAction(name) {
+  const store = useStore();
+  return useCallback((...payload) => {
+    const [target, local] = resolveModule(store, name);
+    return target.dispatch(local, ...payload);
+  }, [store, name]);
+}
+
+
+// exports
+// -------
+export default {
+  StoreProvider,
+  useStore,
+  useStoreState,
+  useGetter,
+  useAction,
+};
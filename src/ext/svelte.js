@@ -0,0 +1,117 @@
+/**
+ * Svelte store adapter for Auora
+ */
+
+
+// imports
+// -------
+import { Store, EVENTS, resolveModule } from '../store';
+
+
+// helpers
+// -------
+/**
+ * Check if value changed, treating objects and functions as
+ * changed like Svelte does, since stores can update state in place.
+ *
+ * @param {object} value - Previous value.
+ * @param {object} next - Current value.
+ */
+function changed(value, next) {
+  return !Object.is(value, next) || (value !== null && typeof value === 'object') || typeof value === 'function';
+}
+
+
+/**
+ * Create object implementing the Svelte store contract, running
+ * subscribers with the current value and whenever the value
+ * changes after store events.
+ *
+ * @param {Store} store - Store to listen for changes on.
+ * @param {function} read - Function returning the current value.
+ */
+function createContract(store, read) {
+  return {
+    subscribe(run) {
+      let value = read();
+      run(value);
+      const removers = EVENTS.map(event => store.events.subscribe(event, () => {
+        const next = read();
+        if (changed(value, next)) {
+          value = next;
+          run(value);
+        }
+      }));
+      return () => removers.forEach(remove => remove());
+    },
+  };
+}
+
+
+// adapters
+// --------
+/**
+ * Create readable Svelte store for store state.
+ *
+ * @param {Store} store - Store to adapt.
+ */
+export function fromStore(store) {
+  return createContract(store, () => store.state);
+}
+
+
+/**
+ * Create writable Svelte store for state key, with values from
+ * `set()` and `update()` committed via the mutation generated for
+ * the key.
+ *
+ * @param {Store} store - Store to adapt.
+ * @param {string} key - State key, prefixed with module name for
+ *     module state (i.e. `profile/name`).
+ */
+export function fromState(store, key) {
+  const [target, local] = resolveModule(store, key);
+  if (!(local in target.state)) {
+    throw new Error(`State \`${key}\` does not exist.`);
+  }
+  const contract = createContract(target, () => target.state[local]);
+  contract.set = value => target.commit(local, value);
+  contract.update = callback => contract.set(callback(target.state[local]));
+  return contract;
+}
+
+
+/**
+ * Create readable Svelte store for getter.
+ *
+ * @param {Store} store - Store to adapt.
+ * @param {string} name - Getter name, prefixed with module name for
+ *     module getters (i.e. `profile/adult`).
+ */
+export function fromGetter(store, name) {
+  const [target, local] = resolveModule(store, name);
+  if (!(local in target.getters)) {
+    throw new Error(`Getter \`${name}\` does not exist.`);
+  }
+  return createContract(target, () => target.get[local]);
+}
+
+
+/**
+ * Create Svelte store for store state, or for a state key or
+ * getter if `name` is specified. State keys take precedence over
+ * getters with the same name.
+ *
+ * @param {Store} store - Store to adapt.
+ * @param {string} name - Optional state key or getter name.
+ */
+export default function (store, name) {
+  if (!(store instanceof Store)) {
+    throw new Error('Invalid store. Svelte stores can only be created for `Store` objects.');
+  }
+  if (!name) {
+    return fromStore(store);
+  }
+  const [target, local] = resolveModule(store, name);
+  return (local in target.state) ? fromState(store, name) : fromGetter(store, name);
+}
@@ -5,11 +5,67 @@
 
 // imports
 // -------
-import { isArray, isFunction } from '../utils';
+import * as vue from 'vue';
+import {
+  Store, EVENTS, findModule, resolveModule,
+} from '../store';
+import { isArray, isFunction, isObject } from '../utils';
 
 
 // helpers
 // -------
+/**
+ * Key for providing stores to components via `provide`/`inject`.
+ */
+export const storeKey = 'auora:store';
+
+
+/**
+ * Reactive versions for stores, bumped when store state changes.
+ */
+const versions = new WeakMap();
+
+
+/**
+ * Create reactive object with `value` for tracking store versions.
+ * Replaced when installing the plugin for Vue versions without
+ * the Composition API.
+ */
+let createVersion = () => vue.shallowRef(0);
+
+
+/**
+ * Assert that the installed version of Vue has the Composition API
+ * (Vue >= 2.7), which is imported as a namespace so the plugin can
+ * still be used with older versions.
+ */
+function assertComposition() {
+  if (!isFunction(vue.inject)) {
+    throw new Error('Composables require the Composition API, which is available in Vue 2.7 or later.');
+  }
+}
+
+
+/**
+ * Get reactive version for store, so computed properties reading
+ * it re-evaluate after store state changes.
+ *
+ * @param {Store} store - Store to get version for.
+ */
+function observe(store) {
+  if (!versions.has(store)) {
+    const version = createVersion();
+    EVENTS.forEach((event) => {
+      store.events.subscribe(event, () => {
+        version.value += 1;
+      });
+    });
+    versions.set(store, version);
+  }
+  return versions.get(store).value;
+}
+
+
 /**
  * Normalize input data into dictionary, no matter
  * what input type. If function, call the function and
@@ -35,7 +91,8 @@ function normalizeObject(data) {
 
 /**
  * Dynamically create computed properties for Vue
- * components using component state spec and store.
+ * components using component state spec and store. Properties
+ * are cached until changes are committed to the store.
  *
  * @param {object, dict} spec - Specifiaction of what to bind from store.
  * @param {object, dict} store - Store object or module.
@@ -48,8 +105,10 @@ function createParams(spec, store) {
   const mapping = normalizeObject(spec);
   Object.keys(mapping).forEach((key) => {
     computed[key] = {
-      cache: false,
-      get: () => store.state[mapping[key]],
+      get: () => {
+        observe(store);
+        return store.state[mapping[key]];
+      },
       set: value => store.commit(mapping[key], value),
     };
   });
@@ -59,7 +118,8 @@ function createParams(spec, store) {
 
 /**
  * Dynamically create computed properties for Vue
- * components using component getter spec and store.
+ * components using component getter spec and store. Properties
+ * are cached until changes are committed to the store.
  *
  * @param {object, dict} spec - Specifiaction of what to bind from store.
  * @param {object, dict} store - Store object or module.
@@ -72,8 +132,10 @@ function createGetters(spec, store) {
   const mapping = normalizeObject(spec);
   Object.keys(mapping).forEach((key) => {
     computed[key] = {
-      cache: false,
-      get: () => store.get[mapping[key]],
+      get: () => {
+        observe(store);
+        return store.get[mapping[key]];
+      },
     };
   });
   return computed;
@@ -121,87 +183,69 @@ function createActions(spec, store) {
 }
 
 
+/**
+ * Create component bindings for store, or for each module
+ * in store if the spec is keyed by module name. Modules can be
+ * registered with a root store, or a plain object of stores
+ * can be used.
+ *
+ * @param {function} create - Function for creating bindings.
+ * @param {object, dict} spec - Specifiaction of what to bind from store.
+ * @param {object, dict} store - Store object or modules.
+ */
+function createBindings(create, spec, store) {
+  const modules = (store instanceof Store) ? store.modules : store;
+  const keys = isObject(spec) ? Object.keys(spec) : [];
+
+  // global
+  if (keys.length === 0 || !keys.every(key => modules[key] instanceof Store)) {
+    return create(spec, store);
+  }
+
+  // modular
+  const result = {};
+  keys.forEach((key) => {
+    Object.assign(result, create(spec[key], modules[key]));
+  });
+  return result;
+}
+
+
 // mixin
 // -----
 const Mixin = {
   beforeCreate() {
     const self = this;
     const options = self.$options;
-    let computed = {};
-    let methods = {};
+    const computed = {};
+    const methods = {};
 
-    // inject store
+    // inject store (Vue 3 components don't have a parent option)
+    const parent = options.parent || self.$parent;
     if (options.store) {
       self.$store = isFunction(options.store) ? options.store() : options.store;
-    } else if (options.parent && options.parent.$store) {
-      self.$store = options.parent.$store;
+    } else if (parent && parent.$store) {
+      self.$store = parent.$store;
     }
 
     // add declared state to computed properties
     if ('state' in options) {
-      // global
-      if ('state' in self.$store) {
-        computed = Object.assign(computed, createParams(options.state, self.$store));
-
-      // modular
-      } else {
-        Object.keys(self.$store).forEach((key) => {
-          if (key in options.state) {
-            computed = Object.assign(computed, createParams(options.state[key], self.$store[key]));
-          }
-        });
-      }
+      Object.assign(computed, createBindings(createParams, options.state, self.$store));
     }
 
     // add declared getters to computed properties
     if ('getters' in options) {
-
-      // global
-      if ('get' in self.$store) {
-        computed = Object.assign(computed, createGetters(options.getters, self.$store));
-
-      // modular
-      } else {
-        Object.keys(self.$store).forEach((key) => {
-          if (key in options.getters) {
-            // eslint-disable-next-line max-len
-            computed = Object.assign(computed, createGetters(options.getters[key], self.$store[key]));
-          }
-        });
-      }
+      Object.assign(computed, createBindings(createGetters, options.getters, self.$store));
     }
 
     // add declared mutations to methods
     if ('mutations' in options) {
-      // global
-      if ('mutations' in self.$store) {
-        methods = Object.assign(methods, createMutations(options.mutations, self.$store));
-
-      // modular
-      } else {
-        Object.keys(self.$store).forEach((key) => {
-          if (key in options.mutations) {
-            // eslint-disable-next-line max-len
-            methods = Object.assign(methods, createMutations(options.mutations[key], self.$store[key]));
-          }
-        });
-      }
+      Object.assign(methods, createBindings(createMutations, options.mutations, self.$store));
     }
 
     // add declared actions to methods
     if ('actions' in options) {
-      // global
-      if ('actions' in self.$store) {
-        methods = Object.assign(methods, createActions(options.actions, self.$store));
-
-      // modular
-      } else {
-        Object.keys(self.$store).forEach((key) => {
-          if (key in options.actions) {
-            methods = Object.assign(methods, createActions(options.actions[key], self.$store[key]));
-          }
-        });
-      }
+      Object.assign(methods, createBindings(createActions, options.actions, self.$store));
     }
 
     // assign additions
@@ -211,13 +255,108 @@ const Mixin = {
 };
 
 
+// composables
+// -----------
+/**
+ * Get store provided to the application, or a module if `name`
+ * is specified. Stores installed via `app.use()` are injected, and
+ * stores passed to components via the `store` option are used
+ * otherwise.
+ *
+ * @param {string} name - Optional name of module to get.
+ */
+export function useStore(name) {
+  assertComposition();
+  let store = vue.inject(storeKey, null);
+  if (!store) {
+    const instance = vue.getCurrentInstance();
+    let vm = instance && instance.proxy;
+    while (vm && !vm.$store) {
+      vm = vm.$parent;
+    }
+    store = vm && vm.$store;
+  }
+  if (!store) {
+    throw new Error('No store found. Install the plugin with a store via `app.use(Auora, store)`.');
+  }
+  return name ? findModule(store, name.split('/')) : store;
+}
+
+
+/**
+ * Get writable ref for state key, with values set via the
+ * mutation generated for the key.
+ *
+ * @param {string} key - State key, prefixed with module name for
+ *     module state (i.e. `profile/name`).
+ */
+export function useState(key) {
+  const [target, local] = resolveModule(useStore(), key);
+  return vue.computed({
+    get: () => {
+      observe(target);
+      return target.state[local];
+    },
+    set: value => target.commit(local, value),
+  });
+}
+
+
+/**
+ * Get computed ref for store getter.
+ *
+ * @param {string} name - Name of getter, prefixed with module
+ *     name for module getters (i.e. `profile/adult`).
+ */
+export function useGetter(name) {
+  const [target, local] = resolveModule(useStore(), name);
+  return vue.computed(() => {
+    observe(target);
+    return target.get[local];
+  });
+}
+
+
+/**
+ * Get functions for dispatching store actions, using the same
+ * specifications as the `actions` component option.
+ *
+ * @param {object, dict} spec - Specification of actions to bind,
+ *     defaulting to all actions.
+ */
+export function useActions(spec = true) {
+  return createBindings(createActions, spec, useStore());
+}
+
+
 // plugin
 // ------
-export default function (Vue) {
+/**
+ * Install plugin for Vue, or for Vue 3 applications via `app.use()`.
+ * For applications, the store is provided to components using
+ * composables and available as `$store` in templates.
+ *
+ * @param {object} Vue - Vue constructor or application.
+ * @param {object, dict} store - Store object or modules to provide.
+ */
+export default function (Vue, store) {
   const version = Number(Vue.version.split('.')[0]);
 
+  // track versions with component data without the Composition API
+  if (version < 3 && !isFunction(vue.shallowRef)) {
+    createVersion = () => new Vue({ data: { value: 0 } });
+  }
+
+  // provide store to applications for Vue 3
+  if (version >= 3) {
+    Vue.mixin(Mixin);
+    if (store) {
+      Vue.provide(storeKey, store);
+      Vue.config.globalProperties.$store = store;
+    }
+
   // use beforeCreate hook for Vue > 2
-  if (version >= 2) {
+  } else if (version >= 2) {
     Vue.mixin(Mixin);
 
   // backwards compatibility
@@ -0,0 +1,229 @@
+/**
+ * Helpers for caching getter results.
+ */
+
+
+// imports
+import { isObject, isArray } from './utils';
+
+
+/**
+ * Key for getters reading the list of keys in state, and
+ * for changes that could affect any key in state.
+ */
+export const ALL = Symbol('all');
+
+
+/**
+ * Sentinel for memoized results in argument tree.
+ */
+const RESULT = Symbol('result');
+
+
+/**
+ * Stack of getters currently being computed, across stores.
+ */
+const stack = [];
+
+
+/**
+ * Create proxy for reading store state that records which
+ * top-level keys are read. Reads always use the current store
+ * state, so functions returned by getters don't read stale data.
+ *
+ * @param {Store} store - Store to read state from.
+ * @param {Set} dependencies - Set to record keys in.
+ */
+export function track(store, dependencies) {
+  return new Proxy({}, {
+    get(target, prop) {
+      dependencies.add(prop);
+      return store.state[prop];
+    },
+    has(target, prop) {
+      dependencies.add(prop);
+      return prop in store.state;
+    },
+    ownKeys() {
+      dependencies.add(ALL);
+      return Reflect.ownKeys(store.state);
+    },
+    getOwnPropertyDescriptor(target, prop) {
+      return Reflect.getOwnPropertyDescriptor(store.state, prop);
+    },
+    set() {
+      throw new Error('Cannot change state in getters.');
+    },
+    deleteProperty() {
+      throw new Error('Cannot change state in getters.');
+    },
+  });
+}
+
+
+/**
+ * Create proxy for changing data that records which top-level
+ * keys could have changed. Nested data can be changed in place,
+ * so reading nested data also records the key.
+ *
+ * @param {object} data - Data to record changes for.
+ * @param {Set} changes - Set to record keys in.
+ */
+export function watch(data, changes) {
+  return new Proxy(data, {
+    get(target, prop) {
+      const value = target[prop];
+      if (isObject(value) || isArray(value)) {
+        changes.add(prop);
+      }
+      return value;
+    },
+    set(target, prop, value) {
+      changes.add(prop);
+      target[prop] = value;
+      return true;
+    },
+    deleteProperty(target, prop) {
+      changes.add(prop);
+      delete target[prop];
+      return true;
+    },
+  });
+}
+
+
+/**
+ * Record that the getter currently being computed reads
+ * another getter, so the result of the computed getter is
+ * invalidated along with the getter it reads.
+ *
+ * @param {Store} store - Store for getter being read.
+ * @param {string} name - Name of getter being read.
+ */
+export function depend(store, name) {
+  if (stack.length === 0) {
+    return;
+  }
+  const caller = stack[stack.length - 1];
+  if (!(name in store.dependents)) {
+    store.dependents[name] = new Map();
+  }
+  const dependents = store.dependents[name];
+  if (!dependents.has(caller.store)) {
+    dependents.set(caller.store, new Set());
+  }
+  dependents.get(caller.store).add(caller.name);
+}
+
+
+/**
+ * Compute getter, checking for circular dependencies between
+ * getters. Functions returned by getters can call getters
+ * recursively, so calls to those functions aren't checked.
+ *
+ * @param {Store} store - Store for getter.
+ * @param {string} name - Name of getter.
+ * @param {function} callable - Function computing getter.
+ * @param {boolean} call - Whether or not this is a call of a
+ *     function returned by the getter.
+ */
+export function evaluate(store, name, callable, call = false) {
+  if (!call) {
+    const index = stack.findIndex(item => item.store === store && item.name === name && !item.call);
+    if (index !== -1) {
+      const path = stack.slice(index).map(item => item.name).concat(name).join(' -> ');
+      throw new Error(`Circular dependency detected for getter \`${name}\`: ${path}`);
+    }
+  }
+  stack.push({ store, name, call });
+  try {
+    return callable();
+  } finally {
+    stack.pop();
+  }
+}
+
+
+/**
+ * Remove cached getter result, along with results for getters
+ * that read it.
+ *
+ * @param {Store} store - Store for getter.
+ * @param {string} name - Name of getter.
+ */
+export function evict(store, name) {
+  delete store.cache[name];
+  const dependents = store.dependents[name];
+  if (dependents) {
+    delete store.dependents[name];
+    dependents.forEach((names, other) => {
+      names.forEach(dependent => evict(other, dependent));
+    });
+  }
+}
+
+
+/**
+ * Check if getter dependencies can be tracked. Getters that
+ * read the list of keys in state depend on all of state.
+ *
+ * @param {Set} dependencies - Dependencies recorded for getter.
+ */
+export function isTracked(dependencies) {
+  return dependencies instanceof Set && !dependencies.has(ALL);
+}
+
+
+/**
+ * Memoize function by arguments. Arguments are compared by
+ * identity, so object arguments must be the same instance to
+ * reuse results.
+ *
+ * @param {function} callable - Function to memoize.
+ * @param {function} valid - Function returning whether or not
+ *     memoized results can still be used.
+ */
+export function memoize(callable, valid) {
+  const tree = new Map();
+  return (...args) => {
+    if (!valid()) {
+      return callable(...args);
+    }
+    let node = tree;
+    args.forEach((arg) => {
+      if (!node.has(arg)) {
+        node.set(arg, new Map());
+      }
+      node = node.get(arg);
+    });
+    if (!node.has(RESULT)) {
+      node.set(RESULT, callable(...args));
+    }
+    return node.get(RESULT);
+  };
+}
+
+
+/**
+ * Remove cached getter results for store that depend on keys
+ * changed since the last invalidation, along with results for
+ * getters reading them. Results for untracked getters are
+ * always removed.
+ *
+ * @param {Store} store - Store to invalidate getters for.
+ * @param {boolean} all - Whether or not to remove all results.
+ */
+export function invalidate(store, all = false) {
+  const changes = store.changes;
+  store.changes = new Set();
+  if (!all && changes.size === 0) {
+    return;
+  }
+  Object.keys(store.cache).forEach((name) => {
+    const dependencies = store.dependencies[name];
+    if (all || changes.has(ALL) || !isTracked(dependencies)
+      || [...dependencies].some(key => changes.has(key))) {
+      evict(store, name);
+    }
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * Classes for managing history of committed state.
+ */
+
+
+// imports
+import { clone } from './utils';
+
+
+/**
+ * Default number of entries to keep in history.
+ */
+const DEFAULT_LIMIT = 100;
+
+
+/**
+ * Class for managing bounded undo/redo stacks of committed state.
+ */
+export class HistoryManager {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {object} state - Initial state for history.
+   * @param {number} limit - Maximum number of entries to keep for undo.
+   */
+  constructor(state, limit) {
+    this.limit = (typeof limit === 'number') ? limit : DEFAULT_LIMIT;
+    this.past = [];
+    this.future = [];
+    this.present = clone(state);
+    this.pending = false;
+  }
+
+  /**
+   * Check if there are entries to undo.
+   */
+  get canUndo() {
+    return this.past.length > 0;
+  }
+
+  /**
+   * Check if there are entries to redo.
+   */
+  get canRedo() {
+    return this.future.length > 0;
+  }
+
+  /**
+   * Record new entry in history, clearing any entries for redo.
+   *
+   * @param {object} state - Committed state to record.
+   */
+  record(state) {
+    this.past.push(this.present);
+    this.present = clone(state);
+    this.future = [];
+    this.pending = false;
+
+    // drop oldest entries past limit
+    if (this.past.length > this.limit) {
+      this.past.splice(0, this.past.length - this.limit);
+    }
+  }
+
+  /**
+   * Move back one entry in history.
+   *
+   * @returns {object} Copy of state for previous entry.
+   */
+  undo() {
+    this.future.push(this.present);
+    this.present = this.past.pop();
+    this.pending = false;
+    return clone(this.present);
+  }
+
+  /**
+   * Move forward one entry in history.
+   *
+   * @returns {object} Copy of state for next entry.
+   */
+  redo() {
+    this.past.push(this.present);
+    this.present = this.future.pop();
+    this.pending = false;
+    return clone(this.present);
+  }
+
+  /**
+   * Clear all history entries.
+   *
+   * @param {object} state - New initial state for history.
+   */
+  clear(state) {
+    this.past = [];
+    this.future = [];
+    this.present = clone(state);
+    this.pending = false;
+  }
+}
+
+export default HistoryManager;
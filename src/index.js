@@ -4,8 +4,22 @@
 
 import Store from './store';
 import Observable from './proxy';
+import Serializer from './serialize';
+import { Schema, JSONSchemaAdapter } from './schema';
+import {
+  MemoryAdapter, WebStorageAdapter, LocalStorageAdapter,
+  SessionStorageAdapter, AsyncAdapter,
+} from './persist';
 
 export default {
   Store,
   Observable,
+  Serializer,
+  Schema,
+  JSONSchemaAdapter,
+  MemoryAdapter,
+  WebStorageAdapter,
+  LocalStorageAdapter,
+  SessionStorageAdapter,
+  AsyncAdapter,
 };
@@ -0,0 +1,130 @@
+/**
+ * Classes for managing middleware around store operations.
+ */
+
+
+// imports
+import { isArray, isFunction, isPromise } from './utils';
+
+
+/**
+ * Call hook for each middleware in stack.
+ *
+ * @param {array} stack - Middleware to call hooks for.
+ * @param {string} hook - Name of hook to call.
+ * @param {array} args - Arguments for hook.
+ */
+function callHooks(stack, hook, ...args) {
+  stack.forEach((middleware) => {
+    if (isFunction(middleware[hook])) {
+      middleware[hook](...args);
+    }
+  });
+}
+
+
+/**
+ * Class for managing middleware that wraps mutations and actions.
+ * Each middleware is an object with optional hooks:
+ *
+ * - `before(context)` - Called before the operation runs. Return an
+ *     array to replace the payload, or `false` to cancel the operation.
+ * - `after(context, result)` - Called after the operation completes,
+ *     once the result resolves for async operations.
+ * - `error(context, err)` - Called if the operation throws or rejects.
+ *
+ * The context passed to each hook contains the operation `type`
+ * (`mutate` or `dispatch`), the `name` of the mutation or action,
+ * its `payload`, and the `store`.
+ */
+export class MiddlewareManager {
+
+  /**
+   * Constructor for object.
+   */
+  constructor() {
+    this.stack = [];
+  }
+
+  /**
+   * Register middleware.
+   *
+   * @param {object} middleware - Object with `before`, `after`,
+   *     and `error` hooks.
+   * @returns {function} Function for removing the middleware.
+   */
+  use(middleware) {
+    const self = this;
+    self.stack.push(middleware);
+    return () => self.remove(middleware);
+  }
+
+  /**
+   * Remove registered middleware.
+   *
+   * @param {object} middleware - Middleware to remove.
+   */
+  remove(middleware) {
+    const index = this.stack.indexOf(middleware);
+    if (index !== -1) {
+      this.stack.splice(index, 1);
+    }
+  }
+
+  /**
+   * Wrap operation with registered middleware. Hooks run before
+   * the operation in the order middleware were registered, and
+   * after the operation in reverse order.
+   *
+   * @param {object} context - Context with `type`, `name`,
+   *     `payload`, and `store` for operation.
+   * @param {function} callable - Operation to run with payload.
+   * @returns {object} Result of operation, or undefined if cancelled.
+   */
+  wrap(context, callable) {
+    if (this.stack.length === 0) {
+      return callable(context.payload);
+    }
+
+    // run before hooks, stopping on cancel
+    const stack = this.stack.slice();
+    const cancelled = stack.some((middleware) => {
+      if (!isFunction(middleware.before)) {
+        return false;
+      }
+      const response = middleware.before(context);
+      if (isArray(response)) {
+        context.payload = response;
+      }
+      return response === false;
+    });
+    if (cancelled) {
+      return undefined;
+    }
+
+    // run operation
+    stack.reverse();
+    let result;
+    try {
+      result = callable(context.payload);
+    } catch (err) {
+      callHooks(stack, 'error', context, err);
+      throw err;
+    }
+
+    // run after hooks
+    if (!isPromise(result)) {
+      callHooks(stack, 'after', context, result);
+      return result;
+    }
+    return result.then((response) => {
+      callHooks(stack, 'after', context, response);
+      return response;
+    }, (err) => {
+      callHooks(stack, 'error', context, err);
+      throw err;
+    });
+  }
+}
+
+export default MiddlewareManager;
@@ -0,0 +1,521 @@
+/**
+ * Helpers for describing state changes as JSON Patch (RFC 6902)
+ * operations.
+ */
+
+
+// imports
+import {
+  isObject, isArray, isUndefined, isEqual, clone, getPath,
+} from './utils';
+import { ALL } from './getters';
+
+
+/**
+ * Encode path array as JSON Pointer (RFC 6901).
+ *
+ * @param {array} path - Keys for path.
+ */
+export function toPointer(path) {
+  return path.map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+
+/**
+ * Decode JSON Pointer (RFC 6901) into path array.
+ *
+ * @param {string} pointer - Pointer to decode.
+ */
+export function fromPointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+  if (pointer[0] !== '/') {
+    throw new Error(`Invalid JSON Pointer \`${pointer}\`.`);
+  }
+  return pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+
+/**
+ * Key for accessing data for diffs, along with functions for
+ * creating patches that haven't been read yet.
+ */
+const DIFF = Symbol('diff');
+
+
+/**
+ * Get data for diff, creating any deferred patches.
+ *
+ * @param {object} diff - Diff to get data for.
+ */
+function expand(diff) {
+  const data = diff[DIFF];
+  if (data.deferred.length > 0) {
+    const deferred = data.deferred;
+    data.deferred = [];
+    deferred.forEach((create) => {
+      const changes = create();
+      data.patches.push(...changes.patches);
+      data.inverse.unshift(...changes.inverse);
+    });
+  }
+  return data;
+}
+
+
+/**
+ * Class for diffs, with patches and the inverse patches for
+ * reverting them. Patches added with `defer` are only created
+ * once the diff is read, since most diffs aren't.
+ */
+class Diff {
+
+  /**
+   * Constructor for object.
+   */
+  constructor() {
+    this[DIFF] = { patches: [], inverse: [], deferred: [] };
+  }
+
+  get patches() {
+    return expand(this).patches;
+  }
+
+  get inverse() {
+    return expand(this).inverse;
+  }
+
+  /**
+   * Get plain object with patches for serializing diff.
+   */
+  toJSON() {
+    return { patches: this.patches, inverse: this.inverse };
+  }
+}
+
+
+/**
+ * Create empty diff, with patches and the inverse patches
+ * for reverting them.
+ */
+export function createDiff() {
+  return new Diff();
+}
+
+
+/**
+ * Add patches to the end of diff, created by callback once
+ * the diff is read.
+ *
+ * @param {object} target - Diff to extend.
+ * @param {function} create - Function returning diff with
+ *     patches to add.
+ */
+export function defer(target, create) {
+  let result = null;
+  target[DIFF].deferred.push(() => {
+    if (result === null) {
+      result = create();
+    }
+    return result;
+  });
+  return target;
+}
+
+
+/**
+ * Add changes from diff to the end of another diff.
+ *
+ * @param {object} target - Diff to extend.
+ * @param {object} diff - Diff with changes to add.
+ */
+export function extend(target, diff) {
+  const data = diff[DIFF];
+  if (!data) {
+    const patches = diff.patches.slice();
+    const inverse = diff.inverse.slice();
+    return defer(target, () => ({ patches, inverse }));
+  }
+
+  // keep deferred patches deferred, using the patches diff has now
+  if (data.patches.length > 0 || data.inverse.length > 0) {
+    const patches = data.patches.slice();
+    const inverse = data.inverse.slice();
+    defer(target, () => ({ patches, inverse }));
+  }
+  target[DIFF].deferred.push(...data.deferred);
+  return target;
+}
+
+
+/**
+ * Record patches for changes between data at path, along with the
+ * inverse patches in the order they were recorded.
+ *
+ * @param {object} before - Data before changes.
+ * @param {object} after - Data after changes.
+ * @param {array} path - Keys for data.
+ * @param {object} diff - Diff to record patches in.
+ */
+function compare(before, after, path, diff) {
+  // arrays, compared by index
+  if (isArray(before) && isArray(after)) {
+    const common = Math.min(before.length, after.length);
+    for (let index = 0; index < common; index += 1) {
+      if (before[index] !== after[index]) {
+        compare(before[index], after[index], path.concat(index), diff);
+      }
+    }
+    for (let index = common; index < after.length; index += 1) {
+      const item = toPointer(path.concat(index));
+      diff.patches.push({ op: 'add', path: item, value: clone(after[index]) });
+      diff.inverse.push({ op: 'remove', path: item });
+    }
+    for (let index = before.length - 1; index >= common; index -= 1) {
+      const item = toPointer(path.concat(index));
+      diff.patches.push({ op: 'remove', path: item });
+      diff.inverse.push({ op: 'add', path: item, value: clone(before[index]) });
+    }
+
+  // objects, compared by key
+  } else if (isObject(before) && isObject(after)) {
+    Object.keys(before).forEach((key) => {
+      if (!(key in after)) {
+        const item = toPointer(path.concat(key));
+        diff.patches.push({ op: 'remove', path: item });
+        diff.inverse.push({ op: 'add', path: item, value: clone(before[key]) });
+      } else if (before[key] !== after[key]) {
+        compare(before[key], after[key], path.concat(key), diff);
+      }
+    });
+    Object.keys(after).forEach((key) => {
+      if (!(key in before)) {
+        const item = toPointer(path.concat(key));
+        diff.patches.push({ op: 'add', path: item, value: clone(after[key]) });
+        diff.inverse.push({ op: 'remove', path: item });
+      }
+    });
+
+  // other values
+  } else if (!isEqual(before, after)) {
+    const pointer = toPointer(path);
+    diff.patches.push({ op: 'replace', path: pointer, value: clone(after) });
+    diff.inverse.push({ op: 'replace', path: pointer, value: clone(before) });
+  }
+}
+
+
+/**
+ * Check if value is an object or array containing key.
+ *
+ * @param {object} value - Value to check.
+ * @param {string} key - Key to check for.
+ */
+function contains(value, key) {
+  return (isObject(value) || isArray(value)) && Object.prototype.hasOwnProperty.call(value, key);
+}
+
+
+/**
+ * Remove duplicate paths, along with paths nested in other paths.
+ *
+ * @param {array} paths - Path arrays to prune.
+ */
+function prune(paths) {
+  const root = new Map();
+  return paths.slice().sort((a, b) => a.length - b.length).filter((path) => {
+    let node = root;
+    for (let index = 0; index < path.length; index += 1) {
+      if (!node.has(path[index])) {
+        node.set(path[index], new Map());
+      }
+      node = node.get(path[index]);
+      if (node.has(ALL)) {
+        return false;
+      }
+    }
+    node.set(ALL, true);
+    return true;
+  });
+}
+
+
+/**
+ * Create patches describing changes between two objects, along
+ * with the inverse patches for reverting them.
+ *
+ * @param {object} before - Data before changes.
+ * @param {object} after - Data after changes.
+ * @param {array} paths - Path arrays to compare, defaulting to all
+ *     top-level keys.
+ * @returns {object} Diff with `patches` and `inverse` patches.
+ */
+export function createPatch(before, after, paths) {
+  const diff = { patches: [], inverse: [] };
+  let targets = paths;
+  if (isUndefined(targets)) {
+    targets = [...new Set(Object.keys(before).concat(Object.keys(after)))].map(key => [key]);
+  }
+  prune(targets).forEach((path) => {
+    const key = path[path.length - 1];
+    const source = getPath(before, path.slice(0, -1));
+    const target = getPath(after, path.slice(0, -1));
+    const pointer = toPointer(path);
+    if (!contains(target, key)) {
+      if (contains(source, key)) {
+        diff.patches.push({ op: 'remove', path: pointer });
+        diff.inverse.push({ op: 'add', path: pointer, value: clone(source[key]) });
+      }
+    } else if (!contains(source, key)) {
+      diff.patches.push({ op: 'add', path: pointer, value: clone(target[key]) });
+      diff.inverse.push({ op: 'remove', path: pointer });
+    } else if (source[key] !== target[key]) {
+      compare(source[key], target[key], path, diff);
+    }
+  });
+  diff.inverse.reverse();
+  return diff;
+}
+
+
+/**
+ * Resolve parent container and key for path in data.
+ *
+ * @param {object} data - Data to resolve path in.
+ * @param {string} pointer - JSON Pointer for path.
+ */
+function resolve(data, pointer) {
+  const path = fromPointer(pointer);
+  if (path.length === 0) {
+    throw new Error('Cannot apply patch to the root of the data.');
+  }
+  let node = data;
+  path.slice(0, -1).forEach((key) => {
+    if (!(isObject(node) || isArray(node)) || !(key in node)) {
+      throw new Error(`Cannot apply patch. Path \`${pointer}\` does not exist.`);
+    }
+    node = node[key];
+  });
+  if (!(isObject(node) || isArray(node))) {
+    throw new Error(`Cannot apply patch. Path \`${pointer}\` does not exist.`);
+  }
+  return [node, path[path.length - 1]];
+}
+
+
+/**
+ * Get array index for key in patch path.
+ *
+ * @param {array} node - Array for path.
+ * @param {string} key - Key in path.
+ * @param {string} pointer - JSON Pointer for path.
+ * @param {boolean} append - Whether or not the index can be the end of the array.
+ */
+function toIndex(node, key, pointer, append) {
+  if (append && key === '-') {
+    return node.length;
+  }
+  const index = Number(key);
+  const limit = append ? node.length : node.length - 1;
+  if (!/^(0|[1-9][0-9]*)$/.test(key) || index > limit) {
+    throw new Error(`Cannot apply patch. Path \`${pointer}\` does not exist.`);
+  }
+  return index;
+}
+
+
+/**
+ * Get value at path in data.
+ *
+ * @param {object} data - Data to get value from.
+ * @param {string} pointer - JSON Pointer for value.
+ */
+function read(data, pointer) {
+  const [node, key] = resolve(data, pointer);
+  if (isArray(node)) {
+    return node[toIndex(node, key, pointer, false)];
+  } else if (!(key in node)) {
+    throw new Error(`Cannot apply patch. Path \`${pointer}\` does not exist.`);
+  }
+  return node[key];
+}
+
+
+/**
+ * Operations for applying patches to data.
+ */
+const operations = {
+  add(data, pointer, value) {
+    const [node, key] = resolve(data, pointer);
+    if (isArray(node)) {
+      node.splice(toIndex(node, key, pointer, true), 0, clone(value));
+    } else {
+      node[key] = clone(value);
+    }
+  },
+  remove(data, pointer) {
+    const [node, key] = resolve(data, pointer);
+    const value = read(data, pointer);
+    if (isArray(node)) {
+      node.splice(toIndex(node, key, pointer, false), 1);
+    } else {
+      delete node[key];
+    }
+    return value;
+  },
+  replace(data, pointer, value) {
+    const [node, key] = resolve(data, pointer);
+    read(data, pointer);
+    node[isArray(node) ? toIndex(node, key, pointer, false) : key] = clone(value);
+  },
+  move(data, pointer, value, from) {
+    if (pointer.startsWith(`${from}/`)) {
+      throw new Error(`Cannot apply patch. Cannot move \`${from}\` into itself.`);
+    }
+    operations.add(data, pointer, operations.remove(data, from));
+  },
+  copy(data, pointer, value, from) {
+    operations.add(data, pointer, read(data, from));
+  },
+  test(data, pointer, value) {
+    if (!isEqual(read(data, pointer), value)) {
+      throw new Error(`Patch test failed for path \`${pointer}\`.`);
+    }
+  },
+};
+
+
+/**
+ * Apply JSON Patch (RFC 6902) operations to data in place.
+ *
+ * @param {object} data - Data to apply patches to.
+ * @param {array} patches - Patch operations to apply.
+ */
+export function applyPatch(data, patches) {
+  patches.forEach((patch) => {
+    if (!(patch.op in operations)) {
+      throw new Error(`Invalid patch operation \`${patch.op}\`.`);
+    }
+    operations[patch.op](data, patch.path, patch.value, patch.from);
+  });
+  return data;
+}
+
+
+/**
+ * Class for recording patches describing changes to committed
+ * state. A copy of committed state is kept for comparison, since
+ * changes to nested data can be made in place. For stores sharing
+ * unchanged data between commits, committed data is never changed
+ * in place, so the previous state is compared by reference instead.
+ */
+export class PatchManager {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {object} state - Initial committed state.
+   * @param {boolean} shared - Whether or not committed data is
+   *     shared between commits instead of changed in place.
+   */
+  constructor(state, shared = false) {
+    this.shared = shared;
+    this.snapshot = shared ? state : clone(state);
+    this.recorders = new Set();
+  }
+
+  /**
+   * Update copy of committed state without recording patches.
+   *
+   * @param {object} state - Committed state.
+   * @param {array} keys - Top-level keys to update, defaulting to all keys.
+   */
+  sync(state, keys) {
+    if (this.shared) {
+      this.snapshot = state;
+      return;
+    }
+    if (isUndefined(keys)) {
+      this.snapshot = clone(state);
+      return;
+    }
+    keys.forEach((key) => {
+      if (key in state) {
+        this.snapshot[key] = clone(state[key]);
+      } else {
+        delete this.snapshot[key];
+      }
+    });
+  }
+
+  /**
+   * Get data for comparing committed state, which isn't changed
+   * by later syncs.
+   *
+   * @param {array} keys - Top-level keys to get, defaulting to all keys.
+   */
+  capture(keys) {
+    const self = this;
+    if (self.shared) {
+      return self.snapshot;
+    } else if (isUndefined(keys)) {
+      return { ...self.snapshot };
+    }
+    const result = {};
+    keys.forEach((key) => {
+      if (key in self.snapshot) {
+        result[key] = self.snapshot[key];
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Create diff for changes to committed state, adding it to any
+   * active recorders. Patches are created from copies of the
+   * changed data once the diff is read, since the copies aren't
+   * changed after they're synced.
+   *
+   * @param {object} state - Committed state.
+   * @param {Set} changes - Top-level keys that could have changed.
+   * @param {array} paths - Path arrays for changed data, if known.
+   * @returns {object} Diff with `patches` and `inverse` patches.
+   */
+  diff(state, changes, paths) {
+    const self = this;
+    let keys;
+    if (!changes.has(ALL)) {
+      keys = [...changes].filter(key => typeof key === 'string');
+    }
+    const before = self.capture(keys);
+    self.sync(state, keys);
+    const after = self.capture(keys);
+    const targets = paths || (keys && keys.map(key => [key]));
+    const diff = defer(createDiff(), () => createPatch(before, after, targets));
+    self.recorders.forEach(recorder => extend(recorder, diff));
+    return diff;
+  }
+
+  /**
+   * Start recording patches for committed changes.
+   *
+   * @returns {object} Diff that patches are recorded in.
+   */
+  record() {
+    const diff = createDiff();
+    this.recorders.add(diff);
+    return diff;
+  }
+
+  /**
+   * Stop recording patches.
+   *
+   * @param {object} diff - Diff returned by `record`.
+   */
+  stop(diff) {
+    this.recorders.delete(diff);
+  }
+}
+
+export default PatchManager;
@@ -0,0 +1,296 @@
+/**
+ * Classes for persisting store state to storage.
+ */
+
+
+// imports
+import { isPromise, isArray, clone } from './utils';
+import { invalidate } from './getters';
+
+
+/**
+ * Default key for saving state in storage.
+ */
+const DEFAULT_KEY = 'auora';
+
+
+/**
+ * Storage adapter for keeping data in memory. Useful for
+ * testing and for environments without browser storage.
+ */
+export class MemoryAdapter {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {object} data - Initial data for storage.
+   */
+  constructor(data = {}) {
+    this.data = clone(data);
+  }
+
+  /**
+   * Get data for key from storage.
+   *
+   * @param {string} key - Key to get data for.
+   */
+  get(key) {
+    return clone(this.data[key]);
+  }
+
+  /**
+   * Save data for key in storage.
+   *
+   * @param {string} key - Key to save data for.
+   * @param {object} value - Data to save.
+   */
+  set(key, value) {
+    this.data[key] = clone(value);
+  }
+
+  /**
+   * Remove data for key from storage.
+   *
+   * @param {string} key - Key to remove data for.
+   */
+  remove(key) {
+    delete this.data[key];
+  }
+}
+
+
+/**
+ * Storage adapter for objects implementing the Web Storage
+ * API, like `window.localStorage` and `window.sessionStorage`.
+ * Data are serialized as JSON.
+ */
+export class WebStorageAdapter {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {object} storage - Storage object to save data in.
+   */
+  constructor(storage) {
+    if (!storage) {
+      throw new Error('Web storage is not available in this environment.');
+    }
+    this.storage = storage;
+  }
+
+  /**
+   * Get data for key from storage.
+   *
+   * @param {string} key - Key to get data for.
+   */
+  get(key) {
+    const value = this.storage.getItem(key);
+    return (value === null) ? undefined : JSON.parse(value);
+  }
+
+  /**
+   * Save data for key in storage.
+   *
+   * @param {string} key - Key to save data for.
+   * @param {object} value - Data to save.
+   */
+  set(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  /**
+   * Remove data for key from storage.
+   *
+   * @param {string} key - Key to remove data for.
+   */
+  remove(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+
+/**
+ * Storage adapter for `window.localStorage`.
+ */
+export class LocalStorageAdapter extends WebStorageAdapter {
+  constructor() {
+    super(typeof window === 'undefined' ? undefined : window.localStorage);
+  }
+}
+
+
+/**
+ * Storage adapter for `window.sessionStorage`.
+ */
+export class SessionStorageAdapter extends WebStorageAdapter {
+  constructor() {
+    super(typeof window === 'undefined' ? undefined : window.sessionStorage);
+  }
+}
+
+
+/**
+ * Storage adapter for asynchronous key-value stores. The
+ * wrapped store can define `get`, `set`, and `remove` methods
+ * returning either values or promises, and this adapter will
+ * always return promises. Writes are applied in order, and
+ * failed writes don't stop later operations.
+ */
+export class AsyncAdapter {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {object} backend - Key-value store with `get`, `set`,
+   *     and `remove` methods.
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Queue storage operation after pending writes.
+   *
+   * @param {function} operation - Function running operation.
+   */
+  enqueue(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.then(() => null, () => null);
+    return result;
+  }
+
+  /**
+   * Get data for key from storage, after pending writes.
+   *
+   * @param {string} key - Key to get data for.
+   */
+  get(key) {
+    return this.queue.then(() => this.backend.get(key));
+  }
+
+  /**
+   * Save data for key in storage.
+   *
+   * @param {string} key - Key to save data for.
+   * @param {object} value - Data to save.
+   */
+  set(key, value) {
+    return this.enqueue(() => this.backend.set(key, value));
+  }
+
+  /**
+   * Remove data for key from storage.
+   *
+   * @param {string} key - Key to remove data for.
+   */
+  remove(key) {
+    return this.enqueue(() => this.backend.remove(key));
+  }
+}
+
+
+/**
+ * Class for saving selected state from a store to a storage
+ * adapter, and for restoring saved state into the store.
+ */
+export class Persistence {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {Store} store - Store to persist state for.
+   * @param {object} options - Persistence options, with `adapter`,
+   *     storage `key`, and `whitelist` or `blacklist` of state
+   *     keys to persist.
+   */
+  constructor(store, options = {}) {
+    if (options === true) {
+      options = {};
+    }
+    if (options.whitelist && options.blacklist) {
+      throw new Error('Cannot specify both `whitelist` and `blacklist` for persisting state.');
+    }
+    this.store = store;
+    this.adapter = options.adapter || new MemoryAdapter();
+    this.key = options.key || DEFAULT_KEY;
+    this.whitelist = options.whitelist || null;
+    this.blacklist = options.blacklist || [];
+    this.hydrated = false;
+  }
+
+  /**
+   * Check if state key should be persisted.
+   *
+   * @param {string} key - State key to check.
+   */
+  includes(key) {
+    if (isArray(this.whitelist)) {
+      return this.whitelist.includes(key);
+    }
+    return !this.blacklist.includes(key);
+  }
+
+  /**
+   * Select persisted keys from data.
+   *
+   * @param {object} data - Data to select keys from.
+   */
+  select(data) {
+    const result = {};
+    Object.keys(data || {}).forEach((key) => {
+      if (this.includes(key)) {
+        result[key] = data[key];
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Save selected store state to storage. Changes made before
+   * saved state is restored are not saved, so they don't
+   * overwrite the saved state.
+   */
+  save() {
+    if (!this.hydrated) {
+      return undefined;
+    }
+    return this.adapter.set(this.key, this.select(this.store.state));
+  }
+
+  /**
+   * Restore saved state into store. Data from synchronous
+   * adapters are applied immediately, and data from asynchronous
+   * adapters are applied through the commit lifecycle once loaded.
+   */
+  hydrate() {
+    const self = this;
+    const result = self.adapter.get(self.key);
+    if (!isPromise(result)) {
+      const data = self.select(result);
+      Object.assign(self.store.state, clone(data));
+      Object.assign(self.store.stage, clone(data));
+      invalidate(self.store, true);
+      self.store.patches.sync(self.store.state, Object.keys(data));
+      self.hydrated = true;
+      return data;
+    }
+    return result.then((value) => {
+      const data = self.select(value);
+      Object.keys(data).forEach(key => self.store.changes.add(key));
+      Object.assign(self.store.stage, clone(data));
+      self.hydrated = true;
+      self.store.flush();
+      return data;
+    });
+  }
+
+  /**
+   * Remove saved state from storage.
+   */
+  clear() {
+    return this.adapter.remove(this.key);
+  }
+}
+
+export default Persistence;
@@ -33,8 +33,14 @@ const OBJECT_MODIFIERS = [ // eslint-disable-line no-unused-vars
  */
 class PublishingProxy {
   constructor(callback) {
-    // set up pubsub for object
-    this.events = new PubSub();
+    // set up pubsub for object, using data keys as event names and
+    // failing changes with callback errors
+    this.events = new PubSub({
+      namespaced: false,
+      onError: (err) => {
+        throw err;
+      },
+    });
     if (isFunction(callback)) {
       this.events.subscribe('update', callback);
       this.events.subscribe('delete', callback);
@@ -50,18 +56,33 @@ class PublishingProxy {
    *     data key name.
    * @param {function} callback - Callback to execute when event
    *     is published.
+   * @returns {function} Function for removing the subscription.
    */
   subscribe(event, callback) {
     // shorthand
     if (isFunction(event)) {
-      this.events.subscribe('update', callback);
-      this.events.subscribe('delete', callback);
-      this.events.subscribe('reset', callback);
+      const disposers = [
+        this.events.subscribe('update', event),
+        this.events.subscribe('delete', event),
+        this.events.subscribe('reset', event),
+      ];
+      return () => disposers.forEach(dispose => dispose());
 
     // specific event
     } else if (isFunction(callback)) {
-      this.events.subscribe(event, callback);
+      return this.events.subscribe(event, callback);
     }
+    return () => {};
+  }
+
+  /**
+   * Unsubscribe from object or specific data changes.
+   *
+   * @param {string} event - Event name to unsubscribe from.
+   * @param {function} callback - Callback to remove.
+   */
+  unsubscribe(event, callback) {
+    this.events.unsubscribe(event, callback);
   }
 
   /**
@@ -149,9 +170,19 @@ class ObjectProxy extends PublishingProxy {
         if (prop === 'subscribe') {
           return (key, callback) => {
             if (isFunction(key) && isUndefined(callback)) {
-              self.subscribe('update', key);
+              return self.subscribe('update', key);
+            }
+            return self.subscribe(key, callback);
+          };
+        }
+
+        // handle proxy unsubscribe
+        if (prop === 'unsubscribe') {
+          return (key, callback) => {
+            if (isFunction(key) && isUndefined(callback)) {
+              self.unsubscribe('update', key);
             } else {
-              self.subscribe(key, callback);
+              self.unsubscribe(key, callback);
             }
           };
         }
@@ -238,9 +269,19 @@ class ArrayProxy extends PublishingProxy {
         if (prop === 'subscribe') {
           return (key, callback) => {
             if (isFunction(key) && isUndefined(callback)) {
-              self.subscribe('update', key);
+              return self.subscribe('update', key);
+            }
+            return self.subscribe(key, callback);
+          };
+        }
+
+        // handle proxy unsubscribe
+        if (prop === 'unsubscribe') {
+          return (key, callback) => {
+            if (isFunction(key) && isUndefined(callback)) {
+              self.unsubscribe('update', key);
             } else {
-              self.subscribe(key, callback);
+              self.unsubscribe(key, callback);
             }
           };
         }
@@ -291,6 +332,40 @@ class ArrayProxy extends PublishingProxy {
 }
 
 
+/**
+ * Class for creating read-only proxies that reject changes
+ * to data at any level of nesting.
+ *
+ * @param {object} target - Data to create read-only proxy for.
+ * @param {string} message - Message for error thrown on changes.
+ */
+export class Guard {
+  constructor(target, message) {
+    message = message || 'Cannot change read-only data.';
+    return new Proxy(target, {
+      // getter with nested guards
+      get(obj, prop) {
+        const value = obj[prop];
+        if (isObject(value) || isArray(value)) {
+          return new Guard(value, message);
+        }
+        return value;
+      },
+
+      // reject setting
+      set() {
+        throw new Error(message);
+      },
+
+      // reject deleting
+      deleteProperty() {
+        throw new Error(message);
+      },
+    });
+  }
+}
+
+
 /**
  * Observable class for watching nested data changes and issuing
  * before/after callbacks.
@@ -2,16 +2,83 @@
  * Simple publish-subscribe class used throughout module.
  */
 
+// imports
+import { isFunction } from './utils';
+
+
+/**
+ * Event published with errors thrown by callbacks.
+ */
+const ERROR = 'error';
+
+
+/**
+ * Event name for callbacks subscribed to all events.
+ */
+const WILDCARD = '*';
+
+
+/**
+ * Separator for namespaced event names (i.e. `mutate:subtract`).
+ */
+const SEPARATOR = ':';
+
+
+/**
+ * Create error grouping errors thrown by callbacks.
+ *
+ * @param {array} errors - Errors to group.
+ * @param {string} message - Message for error.
+ */
+function aggregate(errors, message) {
+  if (typeof AggregateError === 'undefined') {
+    const error = new Error(message);
+    error.errors = errors;
+    return error;
+  }
+  return new AggregateError(errors, message); // eslint-disable-line no-undef
+}
+
+
+/**
+ * Compare subscriptions by the order they run in.
+ *
+ * @param {object} a - First subscription.
+ * @param {object} b - Second subscription.
+ */
+function compare(a, b) {
+  return (b.priority - a.priority) || (a.order - b.order);
+}
+
+
 /**
  * Simple publish-subscribe manager for executing events
- * on state changes.
+ * on state changes. Errors thrown by callbacks don't stop other
+ * callbacks from running, and are published to the `error` event
+ * with the name of the event that failed.
+ *
+ * Events can be namespaced (i.e. `mutate:subtract`), running
+ * callbacks for both the namespaced event and the event it's
+ * namespaced under, and callbacks for `*` run for all events
+ * except `error`. Callbacks run in order of priority, then in the order they
+ * were subscribed.
  */
 export class PubSub {
   /**
    * Create a new pubsub helper
+   *
+   * @param {object} options - Options with `onError` callback for
+   *     errors thrown by callbacks, `strict` for throwing an
+   *     `AggregateError` once all callbacks for an event have run,
+   *     and `namespaced` for whether or not event names can be
+   *     namespaced (the default).
    */
-  constructor() {
+  constructor(options = {}) {
     this.events = {};
+    this.count = 0;
+    this.onError = options.onError || null;
+    this.strict = Boolean(options.strict);
+    this.namespaced = options.namespaced !== false;
   }
 
   get empty() {
@@ -21,21 +88,110 @@ export class PubSub {
   /**
    * Subscribe to specific event.
    *
-   * @param {string} event - Event name to subscribe to.
-   * @param {function} callback - Function to call on event.
+   * @param {string} event - Event name to subscribe to, or `*`
+   *     for all events.
+   * @param {function} callback - Function to call on event. Callbacks
+   *     for `*` are called with the event name before the payload.
+   * @param {object} options - Options with `priority` for callback,
+   *     with higher priorities running first, and `once` for removing
+   *     the callback after it runs.
+   * @returns {function} Function for removing the subscription.
    */
-  subscribe(event, callback) {
+  subscribe(event, callback, options = {}) {
     const self = this;
 
     // sync callback list
     if (!(event in self.events)) {
       self.events[event] = [];
     }
-    return self.events[event].push(callback);
+    self.count += 1;
+    const entry = {
+      callback,
+      priority: options.priority || 0,
+      once: Boolean(options.once),
+      order: self.count,
+    };
+    self.events[event].push(entry);
+
+    // remove only this subscription, since callbacks can be subscribed more than once
+    return () => self.remove(event, entry);
   }
 
   /**
-   * Subscribe to specific event.
+   * Subscribe to specific event, removing the callback after
+   * it runs once.
+   *
+   * @param {string} event - Event name to subscribe to.
+   * @param {function} callback - Function to call on event.
+   * @param {object} options - Options with `priority` for callback.
+   * @returns {function} Function for removing the subscription.
+   */
+  once(event, callback, options = {}) {
+    return this.subscribe(event, callback, Object.assign({}, options, { once: true }));
+  }
+
+  /**
+   * Get callbacks subscribed to specific event, in the order
+   * they run.
+   *
+   * @param {string} event - Event name to get callbacks for.
+   */
+  listeners(event) {
+    return (this.events[event] || []).slice().sort(compare).map(entry => entry.callback);
+  }
+
+  /**
+   * Unsubscribe callback from specific event.
+   *
+   * @param {string} event - Event name to unsubscribe from.
+   * @param {function} callback - Function to remove from event.
+   */
+  unsubscribe(event, callback) {
+    const self = this;
+    if (!(event in self.events)) {
+      return;
+    }
+    self.remove(event, self.events[event].find(entry => entry.callback === callback));
+  }
+
+  /**
+   * Remove subscription for specific event.
+   *
+   * @param {string} event - Event name to remove subscription from.
+   * @param {object} entry - Subscription to remove.
+   */
+  remove(event, entry) {
+    const self = this;
+    if (!(event in self.events)) {
+      return;
+    }
+
+    // remove callback and prune empty events
+    const index = self.events[event].indexOf(entry);
+    if (index !== -1) {
+      self.events[event].splice(index, 1);
+    }
+    if (self.events[event].length === 0) {
+      delete self.events[event];
+    }
+  }
+
+  /**
+   * Clear all callbacks for specific event, or all events
+   * if no event is specified.
+   *
+   * @param {string} event - Event name to clear.
+   */
+  clear(event) {
+    if (typeof event === 'undefined') {
+      this.events = {};
+    } else {
+      delete this.events[event];
+    }
+  }
+
+  /**
+   * Publish event, running all callbacks subscribed to it.
    *
    * @param {string} event - Event name to broadcast.
    * @param {object} payload - Arguments to pass to event callbacks.
@@ -43,13 +199,85 @@ export class PubSub {
   publish(event, ...payload) {
     const self = this;
 
+    // collect callbacks for event, parent event, and wildcard
+    const names = [event];
+    if (self.namespaced && typeof event === 'string' && event.includes(SEPARATOR)) {
+      names.push(event.split(SEPARATOR)[0]);
+    }
+    if (event !== WILDCARD) {
+      names.push(WILDCARD);
+    }
+
     // complete event chain if it exists
-    if (!(event in self.events)) {
+    if (!names.some(name => name in self.events)) {
       return [];
     }
 
-    // TODO: EMBED CALLBACKS IN TRY BLOCK?
-    return self.events[event].map(callback => callback(...payload));
+    // copy callbacks so subscribers can unsubscribe during publish
+    const entries = [];
+    names.filter(name => name in self.events).forEach((name) => {
+      self.events[name].forEach(entry => entries.push({ name, entry }));
+    });
+    const errors = [];
+    const results = entries.sort((a, b) => compare(a.entry, b.entry)).map(({ name, entry }) => {
+      if (entry.once) {
+        self.remove(name, entry);
+      }
+      try {
+        if (name === WILDCARD && event !== WILDCARD) {
+          return entry.callback(event, ...payload);
+        }
+        return entry.callback(...payload);
+      } catch (err) {
+        errors.push(err);
+        return undefined;
+      }
+    });
+
+    // report errors once all callbacks have run
+    if (errors.length === 0) {
+      return results;
+    }
+    errors.forEach(err => self.report(err, event));
+    if (self.strict) {
+      const messages = errors.map(err => err.message).join('; ');
+      throw aggregate(errors, `Error in \`${event}\` event callbacks: ${messages}`);
+    }
+    return results;
+  }
+
+  /**
+   * Report error thrown by callback to `error` event callbacks
+   * and `onError` option. Errors that aren't handled are logged.
+   *
+   * @param {Error} err - Error thrown by callback.
+   * @param {string} event - Event name callback was subscribed to.
+   */
+  report(err, event) {
+    const self = this;
+    let handled = false;
+
+    // errors in error callbacks are only passed to `onError`
+    if (event !== ERROR && ERROR in self.events) {
+      handled = true;
+      self.events[ERROR].slice().sort(compare).forEach((entry) => {
+        if (entry.once) {
+          self.remove(ERROR, entry);
+        }
+        try {
+          entry.callback(err, event);
+        } catch (error) {
+          self.report(error, ERROR);
+        }
+      });
+    }
+    if (isFunction(self.onError)) {
+      handled = true;
+      self.onError(err, event);
+    }
+    if (!handled) {
+      console.error(err); // eslint-disable-line no-console
+    }
   }
 }
 
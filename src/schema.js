@@ -0,0 +1,200 @@
+/**
+ * Classes for validating the shape of store state.
+ */
+
+
+// imports
+import {
+  isObject, isArray, isFunction, isUndefined,
+} from './utils';
+import { fromPointer } from './patch';
+
+
+/**
+ * Checks for type names used in schema specifications.
+ */
+const checks = {
+  any: () => true,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !Number.isNaN(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => isObject(value),
+  array: value => isArray(value),
+  date: value => value instanceof Date,
+  map: value => value instanceof Map,
+  set: value => value instanceof Set,
+  null: value => value === null,
+};
+
+
+/**
+ * Describe type of value for error messages.
+ *
+ * @param {object} value - Value to describe.
+ */
+function describe(value) {
+  return Object.keys(checks).slice(1).find(name => checks[name](value)) || typeof value;
+}
+
+
+/**
+ * Check if schema specification is a validator implementing the
+ * adapter interface, instead of a type specification.
+ *
+ * @param {object} spec - Specification to check.
+ */
+function isValidator(spec) {
+  return isObject(spec) && isFunction(spec.validate);
+}
+
+
+/**
+ * Collect errors for value not matching type specification.
+ *
+ * @param {object} spec - Type specification for value.
+ * @param {object} value - Value to check.
+ * @param {array} path - Keys for value in validated data.
+ * @param {array} errors - List to add errors to.
+ */
+function check(spec, value, path, errors) {
+  // validators, with paths relative to value
+  if (isValidator(spec)) {
+    spec.validate(value).forEach((error) => {
+      errors.push({ path: path.concat(error.path), message: error.message });
+    });
+
+  // custom checks, returning messages or whether value is valid
+  } else if (isFunction(spec)) {
+    const result = spec(value);
+    if (result !== true && !isUndefined(result)) {
+      const message = (typeof result === 'string') ? result : 'failed validation';
+      errors.push({ path, message });
+    }
+
+  // type names, with `?` for optional values and `|` for unions
+  } else if (typeof spec === 'string') {
+    let names = spec.split('|');
+    if (spec.endsWith('?')) {
+      if (value === null || isUndefined(value)) {
+        return;
+      }
+      names = spec.slice(0, -1).split('|');
+    }
+    names.forEach((name) => {
+      if (!(name in checks)) {
+        throw new Error(`Invalid schema type \`${name}\`. Valid choices are: ${Object.keys(checks).join(', ')}`);
+      }
+    });
+    if (!names.some(name => checks[name](value))) {
+      errors.push({ path, message: `expected ${names.join(' or ')} but received ${describe(value)}` });
+    }
+
+  // lists, with specification for items
+  } else if (isArray(spec)) {
+    if (!isArray(value)) {
+      errors.push({ path, message: `expected array but received ${describe(value)}` });
+      return;
+    }
+    value.forEach((item, index) => check(spec[0], item, path.concat(index), errors));
+
+  // objects, with specifications for keys
+  } else if (isObject(spec)) {
+    if (!isObject(value)) {
+      errors.push({ path, message: `expected object but received ${describe(value)}` });
+      return;
+    }
+    Object.keys(spec).forEach(key => check(spec[key], value[key], path.concat(key), errors));
+  } else {
+    throw new Error(`Invalid schema specification at \`${path.join('.')}\`.`);
+  }
+}
+
+
+/**
+ * Class for validating state using a small type specification
+ * language. Specifications map state keys to type names like
+ * `string`, `number?` (nullable), or `string|number` (unions),
+ * lists with an item specification (i.e. `['string']`), objects
+ * with specifications for nested keys, functions returning
+ * whether values are valid, or validators like `JSONSchemaAdapter`.
+ * Keys without specifications aren't validated.
+ */
+export class Schema {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {object} spec - Specifications for state keys.
+   */
+  constructor(spec) {
+    if (!isObject(spec)) {
+      throw new Error('Invalid schema. Schemas must be objects with specifications for state keys.');
+    }
+    this.spec = spec;
+  }
+
+  /**
+   * Validate data against schema.
+   *
+   * @param {object} data - Data to validate.
+   * @returns {array} Errors with the `path` to each invalid value
+   *     and a `message` describing the error.
+   */
+  validate(data) {
+    const errors = [];
+    check(this.spec, data, [], errors);
+    return errors;
+  }
+}
+
+
+/**
+ * Adapter for validating state with JSON Schema validators, like
+ * functions compiled via `ajv.compile(schema)`. Validators should
+ * return whether data are valid, and set `errors` on the function
+ * with the `instancePath` (or `dataPath`) and `message` for each
+ * error.
+ */
+export class JSONSchemaAdapter {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {function} validator - Compiled JSON Schema validator.
+   */
+  constructor(validator) {
+    this.validator = validator;
+  }
+
+  /**
+   * Validate data against schema.
+   *
+   * @param {object} data - Data to validate.
+   * @returns {array} Errors with the `path` to each invalid value
+   *     and a `message` describing the error.
+   */
+  validate(data) {
+    if (this.validator(data)) {
+      return [];
+    }
+    return (this.validator.errors || []).map((error) => {
+      let path = [];
+      if (!isUndefined(error.instancePath)) {
+        path = fromPointer(error.instancePath);
+      } else if (error.dataPath) {
+        path = error.dataPath.replace(/\[['"]?([^\]'"]*)['"]?\]/g, '.$1').split('.').slice(1);
+      }
+      return { path, message: error.message };
+    });
+  }
+}
+
+
+/**
+ * Create validator for `schema` store option.
+ *
+ * @param {object} schema - Validator, or specifications for `Schema`.
+ */
+export function createSchema(schema) {
+  return isValidator(schema) ? schema : new Schema(schema);
+}
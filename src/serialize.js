@@ -0,0 +1,146 @@
+/**
+ * Classes for serializing store state into text that can be
+ * shipped between environments, like server-rendered pages.
+ */
+
+
+// imports
+import { isObject, isArray, isUndefined } from './utils';
+
+
+/**
+ * Key used for marking encoded values with their type.
+ */
+const TYPE = '$type';
+
+
+/**
+ * Characters escaped in serialized text, so that it can be safely
+ * embedded in HTML documents and JavaScript source.
+ */
+const UNSAFE = /[<>&\u2028\u2029]/g;
+
+
+/**
+ * Types encoded by default. Each type can `test` if it should encode
+ * a value, `encode` the value as data (which is encoded recursively),
+ * and `decode` the data back into a value.
+ */
+const defaults = {
+  undefined: {
+    test: value => isUndefined(value),
+    encode: () => null,
+    decode: () => undefined,
+  },
+  Date: {
+    test: value => value instanceof Date,
+    encode: value => value.getTime(),
+    decode: data => new Date(data === null ? NaN : data),
+  },
+  Map: {
+    test: value => value instanceof Map,
+    encode: value => [...value],
+    decode: data => new Map(data),
+  },
+  Set: {
+    test: value => value instanceof Set,
+    encode: value => [...value],
+    decode: data => new Set(data),
+  },
+};
+
+
+/**
+ * Class for serializing data as JSON, with support for values
+ * JSON can't represent. Encoded values are stored as objects with
+ * a `$type` key, and serialized text is escaped so it can be
+ * embedded in HTML.
+ */
+export class Serializer {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {object} types - Additional types to encode, keyed by
+   *     name, each with `test`, `encode`, and `decode` functions.
+   */
+  constructor(types = {}) {
+    this.types = Object.assign({}, defaults, types);
+  }
+
+  /**
+   * Encode value as data that can be represented in JSON.
+   *
+   * @param {object} value - Value to encode.
+   */
+  encode(value) {
+    const self = this;
+    const name = Object.keys(self.types).find(key => self.types[key].test(value));
+    if (!isUndefined(name)) {
+      return { [TYPE]: name, value: self.encode(self.types[name].encode(value)) };
+    }
+    if (isArray(value)) {
+      return value.map(item => self.encode(item));
+    }
+    if (!isObject(value)) {
+      return value;
+    }
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = self.encode(value[key]);
+    });
+
+    // plain objects using the type key are wrapped
+    return (TYPE in value) ? { [TYPE]: 'Object', value: result } : result;
+  }
+
+  /**
+   * Decode data created by `encode` back into value.
+   *
+   * @param {object} data - Data to decode.
+   */
+  decode(data) {
+    const self = this;
+    if (isArray(data)) {
+      return data.map(item => self.decode(item));
+    }
+    if (!isObject(data)) {
+      return data;
+    }
+    if (TYPE in data && data[TYPE] !== 'Object') {
+      if (!(data[TYPE] in self.types)) {
+        throw new Error(`Cannot deserialize value with unknown type \`${data[TYPE]}\`.`);
+      }
+      return self.types[data[TYPE]].decode(self.decode(data.value));
+    }
+
+    // unwrap plain objects using the type key
+    const source = (TYPE in data) ? data.value : data;
+    const result = {};
+    Object.keys(source).forEach((key) => {
+      result[key] = self.decode(source[key]);
+    });
+    return result;
+  }
+
+  /**
+   * Serialize value as text.
+   *
+   * @param {object} value - Value to serialize.
+   */
+  serialize(value) {
+    const text = JSON.stringify(this.encode(value));
+    return text.replace(UNSAFE, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+  }
+
+  /**
+   * Deserialize text created by `serialize` back into value.
+   *
+   * @param {string} text - Text to deserialize.
+   */
+  deserialize(text) {
+    return this.decode(JSON.parse(text));
+  }
+}
+
+export default Serializer;
@@ -5,8 +5,26 @@
 
 // imports
 import PubSub from './pubsub';
+import HistoryManager from './history';
+import Persistence from './persist';
+import MiddlewareManager from './middleware';
+import WatchManager from './watchers';
+import Serializer from './serialize';
+import { createSchema } from './schema';
 import {
-  isFunction, isPromise, isObject, clone,
+  PatchManager, createDiff, extend, applyPatch,
+} from './patch';
+import {
+  ALL, track, watch, isTracked, depend, evaluate, memoize, evict, invalidate,
+} from './getters';
+import { Observable, Guard } from './proxy';
+import {
+  createDraft, changes, liveKeys, isolate, resetDraft,
+  createCopy, copyChanges, commitCopy, resetCopy,
+} from './draft';
+import {
+  isFunction, isPromise, isObject, isArray, isUndefined,
+  isEqual, clone, getPath,
 } from './utils';
 
 
@@ -20,9 +38,870 @@ const status = {
   COMMIT: 'commit',
   MUTATE: 'mutate',
   DISPATCH: 'dispatch',
+  UNDO: 'undo',
+  REDO: 'redo',
+  UNREGISTER: 'unregister',
+  HYDRATE: 'hydrate',
+  ERROR: 'error',
+};
+
+
+/**
+ * Events published when state for a store changes, for
+ * bindings updating views after changes.
+ */
+export const EVENTS = [
+  status.COMMIT, status.RESET, status.ROLLBACK, status.HYDRATE,
+  status.UNDO, status.REDO, status.UNREGISTER,
+];
+
+
+/**
+ * Version of the payload format created by `store.snapshot()`.
+ */
+const SNAPSHOT_VERSION = 1;
+
+
+/**
+ * Store type constants for determining when changes are published.
+ */
+const types = {
+  STRICT: 'strict',
+  TRANSACTIONAL: 'transactional',
+  FLUID: 'fluid',
 };
 
 
+/**
+ * Conflict policies for merging concurrent action changes.
+ */
+const conflicts = {
+  OVERWRITE: 'last-write-wins',
+  REJECT: 'reject',
+};
+
+
+/**
+ * Policies for dispatching actions while the same action is running.
+ */
+const policies = {
+  EVERY: 'every',
+  LATEST: 'takeLatest',
+  FIRST: 'takeFirst',
+  QUEUE: 'queue',
+};
+
+
+/**
+ * Check if store stage shares unchanged data with state. Stages
+ * for stores that recursively commit data are copy-on-write, so
+ * commits only copy changed data.
+ *
+ * @param {Store} store - Store to check.
+ */
+function isShared(store) {
+  return store.options.recurse && store.options.type !== types.FLUID;
+}
+
+
+/**
+ * Wrap data used as the stage for a store. Fluid stores observe
+ * nested changes to the stage and commit them as they happen, and
+ * stores that recursively commit data use copy-on-write stages.
+ *
+ * @param {Store} store - Store to create stage for.
+ * @param {object} data - Data to use as stage.
+ */
+function createStage(store, data) {
+  if (store.options.type === types.FLUID) {
+    return new Observable(data, () => {
+      store.changes.add(ALL);
+      const silent = [status.COMMIT, status.RESET, status.UNREGISTER];
+      store.flush(!silent.includes(store.status.current));
+    });
+  }
+  return isShared(store) ? createCopy(data) : data;
+}
+
+
+/**
+ * Create stage from committed state for store. Copy-on-write
+ * stages share data with state until it is changed.
+ *
+ * @param {Store} store - Store to create stage for.
+ */
+function restage(store) {
+  return createStage(store, isShared(store) ? store.state : clone(store.state));
+}
+
+
+/**
+ * Get stage for passing into actions and event callbacks. Strict
+ * stores only allow changes to the stage via mutations.
+ *
+ * @param {Store} store - Store to get stage for.
+ * @param {object} stage - Stage to expose, defaulting to store stage.
+ */
+function exposeStage(store, stage) {
+  stage = stage || store.stage;
+  if (store.options.type !== types.STRICT) {
+    return stage;
+  }
+  return new Guard(stage, 'Cannot change state outside of a mutation in `strict` stores.');
+}
+
+
+/**
+ * Publish event for operation and end the operation's status, even
+ * if callbacks throw with the `strictEvents` option.
+ *
+ * @param {Store} store - Store to publish event for.
+ * @param {string} event - Event to publish.
+ * @param {object} payload - Arguments for event callbacks.
+ */
+function release(store, event, ...payload) {
+  try {
+    store.events.publish(event, ...payload);
+  } finally {
+    store.status.pop();
+  }
+}
+
+
+/**
+ * Find module for path of module names. Modules can be
+ * registered with a root store, or a plain object of stores
+ * can be used (i.e. by framework bindings).
+ *
+ * @param {object, dict} store - Store object or modules.
+ * @param {array} path - Module names for nested module.
+ */
+export function findModule(store, path) {
+  let target = store;
+  path.forEach((key, index) => {
+    // eslint-disable-next-line no-use-before-define
+    const modules = (target instanceof Store) ? target.modules : target;
+    // eslint-disable-next-line no-use-before-define
+    if (!(modules[key] instanceof Store)) {
+      throw new Error(`Module \`${path.slice(0, index + 1).join('/')}\` does not exist.`);
+    }
+    target = modules[key];
+  });
+  return target;
+}
+
+
+/**
+ * Resolve namespaced name (i.e. `profile/load`) into the module
+ * store and name within that module.
+ *
+ * @param {object, dict} store - Store object or modules to resolve
+ *     name from.
+ * @param {string} name - Name to resolve.
+ * @returns {array} Module store and name within module.
+ */
+export function resolveModule(store, name) {
+  const parts = name.split('/');
+  const target = findModule(store, parts.slice(0, -1));
+  // eslint-disable-next-line no-use-before-define
+  if (!(target instanceof Store)) {
+    throw new Error(`Invalid name \`${name}\`. Names must be prefixed with a module name.`);
+  }
+  return [target, parts[parts.length - 1]];
+}
+
+
+/**
+ * Re-publish events from module store on parent store, using
+ * namespaced names for mutations, actions, and failed events.
+ *
+ * @param {Store} store - Parent store to publish events on.
+ * @param {string} key - Name of module in parent store.
+ * @param {Store} module - Module store to publish events from.
+ */
+function bubbleEvents(store, key, module) {
+  const removers = Object.values(status).map((event) => {
+    const callback = (...payload) => {
+      if (event === status.MUTATE || event === status.DISPATCH) {
+        payload[0] = `${key}/${payload[0]}`;
+        store.events.publish(`${event}:${payload[0]}`, ...payload);
+
+      // errors are reported so they're handled by the parent store
+      } else if (event === status.ERROR) {
+        store.events.report(payload[0], `${key}/${payload[1]}`);
+      } else {
+        store.events.publish(event, ...payload);
+      }
+    };
+    return module.events.subscribe(event, callback);
+  });
+  return () => removers.forEach(remove => remove());
+}
+
+
+/**
+ * Mutations generated for setting top-level state keys, which
+ * are removed along with the state they set.
+ */
+const setters = new WeakSet();
+
+
+/**
+ * Functions for removing event bubbling from module stores.
+ */
+const detachers = new WeakMap();
+
+
+/**
+ * Create mutation for setting top-level state key.
+ *
+ * @param {string} key - State key to create mutation for.
+ */
+function createSetter(key) {
+  const mutation = (state, value) => {
+    state[key] = value;
+  };
+  setters.add(mutation);
+  return mutation;
+}
+
+
+/**
+ * Get names for constructs to unregister, specified either
+ * as a list of names or as an object keyed by name.
+ *
+ * @param {object} constructs - List or object of constructs.
+ */
+function listNames(constructs) {
+  if (isUndefined(constructs) || constructs === null) {
+    return [];
+  }
+  return isArray(constructs) ? constructs : Object.keys(constructs);
+}
+
+
+/**
+ * Validate stage for store, discarding staged changes and throwing
+ * an error describing invalid values if validation fails.
+ *
+ * @param {Store} store - Store to validate stage for.
+ */
+function validate(store) {
+  const errors = store.schema.validate(store.stage);
+  if (errors.length === 0) {
+    return;
+  }
+  store.rollback();
+  const details = errors.map(error => `\`${error.path.join('.')}\` (${error.message})`);
+  throw new Error(`Invalid state at ${details.join(', ')}. Changes have been rolled back.`);
+}
+
+
+/**
+ * Collect committed state for store and its modules.
+ *
+ * @param {Store} store - Store to collect state for.
+ */
+function capture(store) {
+  const result = { state: store.state };
+  const names = Object.keys(store.modules);
+  if (names.length > 0) {
+    result.modules = {};
+    names.forEach((name) => {
+      result.modules[name] = capture(store.modules[name]);
+    });
+  }
+  return result;
+}
+
+
+/**
+ * Replace committed state for store and its modules, publishing
+ * a `hydrate` event for each store.
+ *
+ * @param {Store} store - Store to replace state for.
+ * @param {object} data - State data collected by `capture`.
+ * @param {boolean} backup - Whether or not to also use the data
+ *     as the state stores are reset to.
+ */
+function restore(store, data, backup) {
+  store.status.push(status.HYDRATE);
+  store.state = data.state;
+  store.stage = restage(store);
+  if (backup) {
+    store.backup = clone(data.state);
+  }
+  store.nested = Object.keys(store.state).filter(key => isObject(store.state[key]));
+  invalidate(store, true);
+  store.patches.sync(store.state);
+  store.watchers.notify(store.state);
+  if (store.history) {
+    store.history.clear(store.state);
+  }
+  release(store, status.HYDRATE, store.state);
+
+  // modules
+  Object.keys(data.modules || {}).forEach((name) => {
+    if (name in store.modules) {
+      restore(store.modules[name], data.modules[name], backup);
+    }
+  });
+}
+
+
+/**
+ * Flush changes recorded for stage to committed state, recording
+ * patches and invalidating getters for the changes.
+ *
+ * @param {Store} store - Store to flush changes for.
+ * @param {boolean} publish - Whether or not to publish a `commit`
+ *     event for the changes.
+ */
+function flushStage(store, publish = true) {
+  if (store.schema) {
+    validate(store);
+  }
+  if (publish) {
+    store.status.push(status.COMMIT);
+  }
+
+  // push the changes to state
+  let paths;
+  if (isShared(store)) {
+    paths = copyChanges(store.stage);
+    store.state = commitCopy(store.stage);
+  } else if (store.options.recurse || store.options.type === types.FLUID) {
+    store.state = clone(store.stage);
+
+  // if top-level is index
+  } else if (store.nested.length === 0) {
+    store.state = { ...store.stage };
+
+  // nested items with index
+  } else {
+
+    // cascade updates
+    Object.keys(store.stage).forEach((key) => {
+      if (store.nested.includes(key)) {
+        store.state[key] = { ...store.stage[key] };
+      } else {
+        store.state[key] = store.stage[key];
+      }
+    });
+
+    // cascade deletes
+    Object.keys(store.state).forEach((key) => {
+      if (!(key in store.stage)) {
+        delete store.state[key];
+      }
+    });
+  }
+
+  // record patches and invalidate getters for changed state
+  const diff = store.patches.diff(store.state, store.changes, paths);
+  invalidate(store);
+  store.watchers.notify(store.state);
+
+  // publish updates if specfied
+  if (publish) {
+    if (store.history) {
+      store.history.pending = true;
+    }
+    release(store, status.COMMIT, diff);
+  }
+  return diff;
+}
+
+
+/**
+ * Class for managing an isolated draft of the stage for
+ * top-level actions. Drafts write changes through to the stage
+ * until the action returns a promise, so synchronous actions
+ * don't pay for isolating their changes. Copy-on-write stages are
+ * always isolated, since they can't be changed in place.
+ */
+class Transaction {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {Store} store - Store to open transaction for.
+   * @param {string} name - Name of action that opened transaction.
+   */
+  constructor(store, name) {
+    this.store = store;
+    this.name = name;
+    this.stage = createDraft(store.stage, !isShared(store));
+    this.diff = createDiff();
+  }
+
+  /**
+   * Isolate changes in draft from the stage, reverting changes
+   * written through to the stage.
+   */
+  isolate() {
+    isolate(this.stage);
+  }
+
+  /**
+   * Merge changes from draft into store stage, resolving changes
+   * to data that was updated by other transactions after this
+   * transaction read it using the `conflict` option for the store.
+   */
+  merge() {
+    const self = this;
+    const store = self.store;
+    const policy = store.options.conflict;
+    liveKeys(self.stage).forEach(key => store.changes.add(key));
+
+    // resolve conflicts before applying changes
+    const resolved = changes(self.stage).map((change) => {
+      const current = getPath(store.stage, change.path);
+      if (isEqual(current, change.original)) {
+        return change;
+      }
+      const key = change.path.join('.');
+      if (policy === conflicts.REJECT) {
+        throw new Error(`Conflict merging changes to \`${key}\` from action \`${self.name}\`.`);
+      } else if (isFunction(policy)) {
+        const value = policy(key, current, change.value, change.original);
+        return {
+          op: isUndefined(value) ? 'remove' : 'replace',
+          path: change.path,
+          value,
+        };
+      }
+      return change;
+    });
+
+    // apply changes to stage
+    resolved.forEach((change) => {
+      store.changes.add(change.path[0]);
+      let node = store.stage;
+      change.path.slice(0, -1).forEach((key) => {
+        if (!isObject(node[key])) {
+          node[key] = {};
+        }
+        node = node[key];
+      });
+      const key = change.path[change.path.length - 1];
+      if (change.op === 'remove') {
+        delete node[key];
+      } else {
+        node[key] = change.value;
+      }
+    });
+    resetDraft(self.stage, store.stage);
+  }
+}
+
+
+/**
+ * Apply mutation to store stage, or to working copy for
+ * transaction before merging into store stage.
+ *
+ * @param {Store} store - Store to commit mutation for.
+ * @param {string} name - Name of mutation to commit.
+ * @param {array} payload - Arguments for mutation.
+ * @param {Transaction} transaction - Transaction for action committing mutation.
+ */
+function applyMutation(store, name, payload, transaction) {
+
+  // emit before and open transaction
+  store.status.push(status.MUTATE);
+  const diff = store.patches.record();
+
+  // issue mutation and update state
+  let result;
+  try {
+    const stage = transaction ? transaction.stage : watch(store.stage, store.changes);
+    result = store.mutations[name](stage, ...payload);
+    if (transaction) {
+      transaction.merge();
+    }
+
+    // fluid stores commit changes as they happen
+    if (store.options.type !== types.FLUID) {
+      flushStage(store);
+    }
+    store.patches.stop(diff);
+    if (transaction) {
+      extend(transaction.diff, diff);
+    }
+    store.events.publish(`${status.MUTATE}:${name}`, name, ...payload, diff);
+
+  // reset to idle
+  } finally {
+    store.patches.stop(diff);
+    store.status.pop();
+  }
+  return result;
+}
+
+
+/**
+ * Commit mutation for store, wrapped with registered middleware.
+ *
+ * @param {Store} store - Store to commit mutation for.
+ * @param {string} name - Name of mutation to commit.
+ * @param {array} payload - Arguments for mutation.
+ * @param {Transaction} transaction - Transaction for action committing mutation.
+ */
+function mutate(store, name, payload, transaction) {
+
+  // assert mutation exists, delegating namespaced mutations to modules
+  if (typeof store.mutations[name] !== 'function') {
+    const [target, local] = resolveModule(store, name);
+    if (target === store) {
+      throw new Error(`Mutation \`${name}\` does not exist.`);
+    }
+    return target.commit(local, ...payload);
+  }
+
+  // run mutation with middleware
+  const context = {
+    type: status.MUTATE, name, payload, store,
+  };
+  return store.middleware.wrap(context, args => applyMutation(store, name, args, transaction));
+}
+
+
+/**
+ * Create error for cancelled action.
+ *
+ * @param {string} name - Name of cancelled action.
+ */
+function abortError(name) {
+  const error = new Error(`Action \`${name}\` was cancelled.`);
+  error.name = 'AbortError';
+  return error;
+}
+
+
+/**
+ * Create controller for cancelling actions, falling back to a minimal
+ * signal in environments without `AbortController` (older Node versions
+ * and server-side rendering).
+ */
+function createController() {
+  if (typeof AbortController !== 'undefined') {
+    return new AbortController();
+  }
+  const listeners = [];
+  const signal = {
+    aborted: false,
+    addEventListener: (event, callback) => {
+      if (event === 'abort') {
+        listeners.push(callback);
+      }
+    },
+    removeEventListener: (event, callback) => {
+      const index = listeners.indexOf(callback);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+  };
+  return {
+    signal,
+    abort: () => {
+      if (!signal.aborted) {
+        signal.aborted = true;
+        listeners.splice(0).forEach(callback => callback());
+      }
+    },
+  };
+}
+
+
+/**
+ * Apply action for store. Top-level actions run against an isolated
+ * working copy of the stage that is merged into the store once the
+ * action resolves. Changes are only isolated once an action returns
+ * a promise, so synchronous actions change the stage directly.
+ * Nested actions share the working copy of their parent.
+ *
+ * @param {Store} store - Store to dispatch action for.
+ * @param {string} name - Name of action to dispatch.
+ * @param {array} payload - Arguments for action.
+ * @param {Transaction} parent - Transaction for parent action.
+ * @param {AbortSignal} signal - Signal for cancelling action.
+ */
+function applyAction(store, name, payload, parent, signal) {
+
+  // change status and open transaction (fluid stores share stage)
+  store.status.push(status.DISPATCH);
+  let transaction = parent;
+  if (!parent && store.options.type !== types.FLUID) {
+    transaction = new Transaction(store, name);
+  }
+
+  // nested actions are cancelled along with their parent
+  if (!signal) {
+    signal = (parent && parent.signal) || createController().signal;
+  }
+  if (transaction && !parent) {
+    transaction.signal = signal;
+  }
+
+  // record patches for changes, using working copy if available
+  let diff = null;
+  if (!parent) {
+    diff = transaction ? transaction.diff : store.patches.record();
+  }
+
+  // merge changes from working copy into stage
+  const merge = () => {
+    if (transaction) {
+      transaction.merge();
+    }
+  };
+
+  // flush changes, recording patches with working copy
+  const flush = (publish) => {
+    const flushed = flushStage(store, publish);
+    if (transaction) {
+      extend(transaction.diff, flushed);
+    }
+  };
+
+  // commit staged changes once top-level action completes
+  const complete = () => {
+    if (!parent) {
+      merge();
+      if (!store.options.type) {
+        flush();
+      }
+      store.patches.stop(diff);
+      store.events.publish(`${status.DISPATCH}:${name}`, name, ...payload, diff);
+    }
+  };
+
+  // discard working copy for failed top-level action
+  const discard = () => {
+    if (!parent) {
+      store.patches.stop(diff);
+      if (transaction) {
+        transaction.isolate();
+        store.status.push(status.ROLLBACK);
+        release(store, status.ROLLBACK);
+      } else {
+        store.rollback();
+      }
+    }
+  };
+
+  // dispatch and handle response
+  let result;
+  try {
+    result = store.actions[name]({
+      state: exposeStage(store, transaction && transaction.stage),
+      signal,
+      commit: (name, ...args) => mutate(store, name, args, transaction),
+      flush: () => {
+        merge();
+        flush(store.options.type === types.TRANSACTIONAL);
+      },
+      // eslint-disable-next-line no-use-before-define
+      dispatch: (name, ...args) => run(store, name, args, transaction),
+      get: store.get,
+      root: store.root,
+      rootState: store.root.state,
+      apply: new Proxy(store.actions, {
+        get(target, name) {
+          if (name in target) {
+            // eslint-disable-next-line no-use-before-define
+            return (...args) => run(store, name, args, transaction);
+          }
+          return undefined;
+        },
+      }),
+    }, ...payload);
+  } catch (err) {
+    try {
+      discard();
+    } finally {
+      store.status.pop();
+    }
+    throw err;
+  }
+
+  // errors from callbacks for completed actions don't discard changes
+  if (!isPromise(result)) {
+    try {
+      complete();
+    } finally {
+      store.status.pop();
+    }
+    return result;
+  }
+  if (transaction && !parent) {
+    transaction.isolate();
+  }
+
+  // promise lifecycle, discarding changes once cancelled
+  const aborted = new Promise((resolve, reject) => {
+    const cancel = () => reject(abortError(name));
+    if (signal.aborted) {
+      cancel();
+    }
+    signal.addEventListener('abort', cancel);
+  });
+  return Promise.race([result, aborted]).then((response) => {
+    complete();
+    return response;
+  }, (err) => {
+    discard();
+    throw err;
+  }).finally(() => {
+    store.status.pop();
+  });
+}
+
+
+/**
+ * Dispatch action for store, wrapped with registered middleware.
+ *
+ * @param {Store} store - Store to dispatch action for.
+ * @param {string} name - Name of action to dispatch.
+ * @param {array} payload - Arguments for action.
+ * @param {Transaction} parent - Transaction for parent action.
+ * @param {AbortSignal} signal - Signal for cancelling action.
+ */
+function run(store, name, payload, parent, signal) {
+
+  // assert action exists, delegating namespaced actions to modules
+  if (typeof store.actions[name] !== 'function') {
+    const [target, local] = resolveModule(store, name);
+    if (target === store) {
+      throw new Error(`Action \`${name}\` does not exist.`);
+    }
+    return target.dispatch(local, ...payload);
+  }
+
+  // run action with middleware
+  const context = {
+    type: status.DISPATCH, name, payload, store,
+  };
+  return store.middleware.wrap(context, args => applyAction(store, name, args, parent, signal));
+}
+
+
+/**
+ * Dispatch top-level action for store, using the policy declared
+ * with the action for handling dispatches while it's running. Promises
+ * returned for async actions have a `cancel()` method for aborting
+ * the action.
+ *
+ * @param {Store} store - Store to dispatch action for.
+ * @param {string} name - Name of action to dispatch.
+ * @param {array} payload - Arguments for action.
+ */
+function schedule(store, name, payload) {
+  if (typeof store.actions[name] !== 'function') {
+    return run(store, name, payload);
+  }
+  const policy = store.policies[name] || policies.EVERY;
+  const running = store.running[name] || [];
+
+  // ignore dispatches while running, or cancel running actions
+  if (policy === policies.FIRST && running.length > 0) {
+    return running[0].promise;
+  }
+  if (policy === policies.LATEST) {
+    running.forEach(item => item.controller.abort());
+  }
+
+  // queued actions run after previous actions settle
+  const controller = createController();
+  let result;
+  if (policy === policies.QUEUE && running.length > 0) {
+    result = running[running.length - 1].promise.catch(() => null).then(() => {
+      if (controller.signal.aborted) {
+        throw abortError(name);
+      }
+      return run(store, name, payload, undefined, controller.signal);
+    });
+  } else {
+    result = run(store, name, payload, undefined, controller.signal);
+  }
+  if (!isPromise(result)) {
+    return result;
+  }
+
+  // track running action until it settles
+  const item = { controller, promise: result };
+  store.running[name] = running.concat(item);
+  const done = () => {
+    store.running[name] = store.running[name].filter(other => other !== item);
+    if (store.running[name].length === 0) {
+      delete store.running[name];
+    }
+  };
+  result.then(done, done);
+  result.cancel = () => controller.abort();
+  return result;
+}
+
+
+/**
+ * Wait for async event callbacks to settle after operation. If any
+ * callbacks reject, changes committed during the operation are
+ * reverted and the returned promise rejects with the error.
+ *
+ * @param {Store} store - Store to run operation for.
+ * @param {function} operation - Callable committing or dispatching.
+ */
+function settle(store, operation) {
+  const diff = store.patches.record();
+  const pending = [];
+  store.pending.add(pending);
+  const stop = () => {
+    store.patches.stop(diff);
+    store.pending.delete(pending);
+  };
+
+  // wait for callbacks in order, before revealing the result
+  const wait = () => Promise.all(pending.map(
+    promise => promise.then(() => null, err => err || new Error('Event callback rejected.')),
+  )).then((errors) => {
+    const error = errors.find(item => item !== null);
+    if (error) {
+      if (diff.inverse.length > 0) {
+        store.applyPatch(diff.inverse);
+      }
+      store.rollback();
+
+      // reject once callbacks for reverted changes have run
+      return Promise.resolve(store.queue).then(() => {
+        throw error;
+      });
+    }
+    return undefined;
+  });
+  let result;
+  try {
+    result = operation();
+  } catch (err) {
+    stop();
+    throw err;
+  }
+  if (!isPromise(result)) {
+    stop();
+    return wait().then(() => result);
+  }
+  return result.then((value) => {
+    stop();
+    return wait().then(() => value);
+  }, (err) => {
+    stop();
+    return Promise.all(pending.map(promise => promise.catch(() => null))).then(() => {
+      throw err;
+    });
+  });
+}
+
+
 /**
  * Class for managing state stack, allowing optional callback
  * to be issued when base state is reached.
@@ -107,9 +986,27 @@ export class Store {
     params.state = params.state || {};
 
     // set default options
-    self.options = params.options || {
+    self.options = Object.assign({
       recurse: false,
-    };
+      type: null,
+      history: false,
+      conflict: conflicts.OVERWRITE,
+      persist: false,
+      serializer: null,
+      schema: null,
+      onError: null,
+      strictEvents: false,
+      awaitEvents: false,
+    }, params.options);
+    if (self.options.type && !Object.values(types).includes(self.options.type)) {
+      const choices = Object.values(types).join(', ');
+      throw new Error(`Invalid store type \`${self.options.type}\`. Valid choices are: ${choices}`);
+    }
+    const policy = self.options.conflict;
+    if (!isFunction(policy) && !Object.values(conflicts).includes(policy)) {
+      const choices = Object.values(conflicts).join(', ');
+      throw new Error(`Invalid conflict policy \`${policy}\`. Valid choices are: ${choices}`);
+    }
 
     // register constructs
     self.stage = {};
@@ -117,16 +1014,13 @@ export class Store {
     self.actions = {};
     self.getters = {};
     self.mutations = {};
+    self.modules = {};
+    self.parent = null;
+    self.backup = {};
+    self.policies = {};
+    self.running = {};
     self.register(params);
 
-    // set from inputs
-    Object.keys(params.state).forEach((key) => {
-      self.mutations[key] = (state, value) => {
-        state[key] = value;
-      };
-    });
-    Object.assign(self.mutations, params.mutations);
-
     // create actions proxy for better api
     self.apply = new Proxy(self.actions, {
       get(target, name) {
@@ -137,36 +1031,162 @@ export class Store {
       },
     });
 
-    // getters proxy
+    // getters proxy, caching results until state they read changes
     self.cache = {};
+    self.dependencies = {};
+    self.dependents = {};
+    self.changes = new Set();
     self.get = new Proxy(self.getters, {
       get(target, name) {
         if (!(name in target)) {
+          if (typeof name === 'string' && name.includes('/')) {
+            const [module, local] = resolveModule(self, name);
+            return module.get[local];
+          }
           return undefined;
         }
+        depend(self, name);
         if (name in self.cache) {
           return self.cache[name];
-        } else {
-          const result = target[name](self.state);
-          if (!isFunction(result)) {
-            self.cache[name] = result;
-          }
-          return result;
         }
+        let state = self.state;
+        let dependencies = self.dependencies[name];
+        if (isUndefined(dependencies) || isTracked(dependencies)) {
+          dependencies = new Set();
+          state = track(self, dependencies);
+        }
+        let result = evaluate(self, name, () => target[name](state, self.get, self.root.get));
+
+        // memoize getters with arguments while cached
+        if (isFunction(result)) {
+          const callable = result;
+          result = memoize(
+            (...args) => evaluate(self, name, () => callable(...args), true),
+            () => self.cache[name] === result,
+          );
+        }
+        self.cache[name] = result;
+        self.dependencies[name] = dependencies;
+        return result;
       },
     });
 
     // initialize
-    self.events = new PubSub();
-    self.backup = clone(params.state);
+    self.events = new PubSub({
+      onError: self.options.onError,
+      strict: self.options.strictEvents,
+    });
+    self.pending = new Set();
+    self.queue = null;
+    self.middleware = new MiddlewareManager();
+    self.watchers = new WatchManager((err, event) => self.events.report(err, event));
+    self.patches = new PatchManager(self.state, isShared(self));
+    self.serializer = self.options.serializer || new Serializer();
+    self.schema = self.options.schema ? createSchema(self.options.schema) : null;
+
+    // restore persisted state, reporting errors from async adapters
+    self.persistence = null;
+    self.ready = Promise.resolve();
+    if (self.options.persist) {
+      self.persistence = new Persistence(self, self.options.persist);
+      self.ready = Promise.resolve(self.persistence.hydrate());
+      self.ready.catch(err => self.events.report(err, 'persist'));
+    }
+
+    // create manager for undo/redo history
+    self.history = null;
+    if (self.options.history) {
+      const limit = (self.options.history === true) ? undefined : self.options.history;
+      self.history = new HistoryManager(self.state, limit);
+    }
 
     // create manager for status updates
     self.status = new StatusManager(status.IDLE, () => {
+      if (self.history && self.history.pending) {
+        self.history.record(self.state);
+      }
       self.events.publish(status.IDLE, self.state);
     });
+    self.stage = restage(self);
+
+    // save persisted state on changes
+    if (self.persistence) {
+      const save = () => {
+        const result = self.persistence.save();
+        if (isPromise(result)) {
+          result.catch(err => self.events.report(err, 'persist'));
+        }
+      };
+      self.events.subscribe(status.COMMIT, save);
+      self.events.subscribe(status.RESET, save);
+      self.events.subscribe(status.HYDRATE, save);
+    }
 
     // subscribe to events
     Object.keys(params.events || {}).forEach(key => self.subscribe(key, params.events[key]));
+
+    // register modules
+    Object.keys(params.modules || {}).forEach((key) => {
+      self.registerModule(key, params.modules[key]);
+    });
+
+    // install plugins
+    (params.plugins || []).forEach(plugin => plugin(self));
+  }
+
+  /**
+   * Check if there are committed changes to undo.
+   */
+  get canUndo() {
+    return this.history !== null && this.history.canUndo;
+  }
+
+  /**
+   * Check if there are undone changes to redo.
+   */
+  get canRedo() {
+    return this.history !== null && this.history.canRedo;
+  }
+
+  /**
+   * Get root store for module stores, or the store itself
+   * if it isn't a module.
+   */
+  get root() {
+    let store = this;
+    while (store.parent !== null) {
+      store = store.parent;
+    }
+    return store;
+  }
+
+  /**
+   * Register module store, accessible as a property of this store
+   * with the module name and via namespaced mutations, actions, and
+   * getters (i.e. `store.dispatch('profile/load')`). Events published
+   * by the module are also published by this store.
+   *
+   * @param {string} name - Name of module.
+   * @param {object} module - Store or params for creating store.
+   * @returns {Store} Store for module.
+   */
+  registerModule(name, module) {
+    const self = this;
+    if (name in self) {
+      throw new Error(`Cannot register module \`${name}\`. Name conflicts with existing store property.`);
+    }
+    if (name.includes('/')) {
+      throw new Error(`Cannot register module \`${name}\`. Module names cannot contain \`/\`.`);
+    }
+    const store = (module instanceof Store) ? module : new Store(module);
+    if (store.parent !== null) {
+      throw new Error(`Cannot register module \`${name}\`. Store is already a module of another store.`);
+    }
+    store.parent = self;
+    self.modules[name] = store;
+    self[name] = store;
+    detachers.set(store, bubbleEvents(self, name, store));
+    return store;
   }
 
   /**
@@ -175,19 +1195,111 @@ export class Store {
    * @param {object} params - State constructs to register with store.
    */
   register(params) {
-    Object.assign(this.state, clone(params.state) || {});
-    Object.assign(this.stage, clone(params.state) || {});
-    Object.assign(this.getters, params.getters || {});
-    Object.assign(this.actions, params.actions || {});
-    Object.assign(this.mutations, params.mutations || {});
+    const self = this;
+    const state = params.state || {};
+    Object.assign(self.state, clone(state));
+    Object.assign(self.stage, clone(state));
+    Object.assign(self.backup, clone(state));
+    Object.assign(self.getters, params.getters || {});
+
+    // actions, with optional policies declared alongside them
+    Object.keys(params.actions || {}).forEach((name) => {
+      const action = params.actions[name];
+      delete self.policies[name];
+      if (isFunction(action)) {
+        self.actions[name] = action;
+        return;
+      }
+      if (!Object.values(policies).includes(action.policy)) {
+        const choices = Object.values(policies).join(', ');
+        throw new Error(`Invalid policy \`${action.policy}\` for action \`${name}\`. Valid choices are: ${choices}`);
+      }
+      self.actions[name] = action.handler;
+      self.policies[name] = action.policy;
+    });
+
+    // generate mutations for setting state keys
+    Object.keys(state).forEach((key) => {
+      if (!(key in self.mutations) || setters.has(self.mutations[key])) {
+        self.mutations[key] = createSetter(key);
+      }
+    });
+    Object.assign(self.mutations, params.mutations || {});
 
     // detect state shape
-    this.nested = [];
-    Object.keys(this.state).forEach((key) => {
-      if (isObject(this.state[key])) {
-        this.nested.push(key);
+    self.nested = Object.keys(self.state).filter(key => isObject(self.state[key]));
+
+    // invalidate getters reading registered state
+    if (self.cache) {
+      Object.keys(state).forEach(key => self.changes.add(key));
+      invalidate(self);
+    }
+    if (self.patches) {
+      self.patches.sync(self.state, Object.keys(state));
+    }
+  }
+
+  /**
+   * Remove constructs from the store, publishing an `unregister`
+   * event with the removed names. Constructs can be specified as
+   * lists of names or with the same objects used to register them.
+   *
+   * @param {object} params - Names of `state`, `getters`, `actions`,
+   *     `mutations`, and `modules` to remove from store.
+   */
+  unregister(params) {
+    const self = this;
+    const removed = {};
+    self.status.push(status.UNREGISTER);
+
+    // state and generated mutations
+    removed.state = listNames(params.state).filter(key => key in self.state || key in self.stage);
+    removed.state.forEach((key) => {
+      delete self.state[key];
+      delete self.stage[key];
+      delete self.backup[key];
+      if (setters.has(self.mutations[key])) {
+        delete self.mutations[key];
       }
+      self.changes.add(key);
+    });
+    self.nested = self.nested.filter(key => !removed.state.includes(key));
+
+    // getters, along with cached results
+    removed.getters = listNames(params.getters).filter(name => name in self.getters);
+    removed.getters.forEach((name) => {
+      evict(self, name);
+      delete self.getters[name];
+      delete self.dependencies[name];
+    });
+    invalidate(self);
+
+    // actions and mutations
+    ['actions', 'mutations'].forEach((type) => {
+      removed[type] = listNames(params[type]).filter(name => name in self[type]);
+      removed[type].forEach((name) => {
+        delete self[type][name];
+      });
+    });
+    removed.actions.forEach((name) => {
+      delete self.policies[name];
     });
+
+    // modules
+    removed.modules = listNames(params.modules).filter(name => name in self.modules);
+    removed.modules.forEach((name) => {
+      const store = self.modules[name];
+      detachers.get(store)();
+      detachers.delete(store);
+      store.parent = null;
+      delete self.modules[name];
+      delete self[name];
+    });
+
+    self.patches.sync(self.state, removed.state);
+    self.watchers.notify(self.state);
+    release(self, status.UNREGISTER, removed);
+    return removed;
   }
 
   /**
@@ -200,65 +1312,41 @@ export class Store {
     self.status.push(status.RESET);
     if (typeof key === 'undefined') {
       self.state = clone(self.backup);
-      self.stage = clone(self.backup);
+      self.stage = restage(self);
     } else {
       self.state[key] = clone(self.backup[key]);
       self.stage[key] = clone(self.backup[key]);
+      self.changes.add(key);
+    }
+    invalidate(self, isUndefined(key));
+    self.patches.sync(self.state, isUndefined(key) ? undefined : [key]);
+    self.watchers.notify(self.state);
+    if (self.history) {
+      self.history.pending = true;
     }
-    self.events.publish(status.RESET);
-    self.status.pop();
+    release(self, status.RESET);
   }
 
   /**
    * Flush state changes from stage to store. This
    * method is called after the end of an action or mutation
-   * to safely update the store on callable success.
+   * to safely update the store on callable success. Stores
+   * with a `schema` validate the stage first, rolling back staged
+   * changes and throwing an error if they're invalid. If no changes
+   * were recorded, the stage was changed directly, so all state is
+   * treated as changed.
    *
    * @param {boolean} publish - Whether or not to publish a `commit`
    *     event after this method is called.
+   * @returns {object} Diff with JSON Patch `patches` describing
+   *     the changes, and `inverse` patches for reverting them.
    */
   flush(publish = true) {
     const self = this;
-    if (publish) {
-      self.status.push(status.COMMIT);
-    }
-
-    // push the changes to state
-    if (self.options.recurse) {
-      self.state = clone(self.stage);
-
-    // if top-level is index
-    } else if (self.nested.length === 0) {
-      self.state = { ...self.stage };
-
-    // nested items with index
-    } else {
-
-      // cascade updates
-      Object.keys(self.stage).forEach((key) => {
-        if (self.nested.includes(key)) {
-          self.state[key] = { ...self.stage[key] };
-        } else {
-          self.state[key] = self.stage[key];
-        }
-      });
-
-      // cascade deletes
-      Object.keys(self.state).forEach((key) => {
-        if (!(key in self.stage)) {
-          delete self.state[key];
-        }
-      });
-    }
-
-    // reset getters cache
-    self.cache = {};
-
-    // publish updates if specfied
-    if (publish) {
-      self.events.publish(status.COMMIT);
-      self.status.pop();
+    if (self.changes.size === 0) {
+      self.changes.add(ALL);
     }
+    return flushStage(self, publish);
   }
 
   /**
@@ -275,132 +1363,316 @@ export class Store {
       self.status.push(status.ROLLBACK);
     }
 
-    // push the changes to state
-    self.stage = clone(self.state);
+    // discard the changes from stage
+    if (isShared(self)) {
+      resetCopy(self.stage, self.state);
+    } else {
+      self.stage = restage(self);
+    }
 
     // publish updates if specfied
     if (publish) {
-      self.events.publish(status.ROLLBACK);
-      self.status.pop();
+      release(self, status.ROLLBACK);
+    }
+  }
+
+  /**
+   * Revert store to state before the last committed change. Changes
+   * committed while the store is busy are grouped into one entry.
+   */
+  undo() {
+    const self = this;
+    if (!self.history) {
+      throw new Error('Cannot undo changes for store without history. Set `options.history` to enable undo.');
+    }
+    if (!self.history.canUndo) {
+      return;
     }
+    self.status.push(status.UNDO);
+    self.state = self.history.undo();
+    self.stage = restage(self);
+    invalidate(self, true);
+    self.patches.sync(self.state);
+    self.watchers.notify(self.state);
+    release(self, status.UNDO);
   }
 
   /**
-   * Proxy for subscribing to specific state changes
+   * Re-apply change to store that was reverted via `undo`.
+   */
+  redo() {
+    const self = this;
+    if (!self.history) {
+      throw new Error('Cannot redo changes for store without history. Set `options.history` to enable redo.');
+    }
+    if (!self.history.canRedo) {
+      return;
+    }
+    self.status.push(status.REDO);
+    self.state = self.history.redo();
+    self.stage = restage(self);
+    invalidate(self, true);
+    self.patches.sync(self.state);
+    self.watchers.notify(self.state);
+    release(self, status.REDO);
+  }
+
+  /**
+   * Serialize committed state for the store and its modules, for
+   * restoring the state elsewhere via `hydrate` (i.e. shipping state
+   * rendered on a server to the client). The payload is escaped so
+   * it can be embedded in HTML.
+   *
+   * @returns {string} Serialized payload with state and version.
+   */
+  snapshot() {
+    const self = this;
+    return self.serializer.serialize(Object.assign({ version: SNAPSHOT_VERSION }, capture(self)));
+  }
+
+  /**
+   * Replace state for the store and its modules with state from
+   * a payload created by `snapshot`, without running actions or
+   * mutations. A `hydrate` event is published for each store.
+   *
+   * @param {string} payload - Payload created by `snapshot`.
+   * @param {boolean} backup - Whether or not to also reset the
+   *     store to hydrated state via `reset`.
+   */
+  hydrate(payload, backup = false) {
+    const self = this;
+    const data = self.serializer.deserialize(payload);
+    if (!isObject(data) || data.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Cannot hydrate store. Unsupported snapshot version \`${isObject(data) ? data.version : data}\`.`);
+    }
+    restore(self, data, backup);
+  }
+
+  /**
+   * Proxy for subscribing to specific state changes. Mutation and
+   * action events can be namespaced to subscribe to specific
+   * mutations or actions (i.e. `dispatch:add`), and callbacks for
+   * `*` are called for all events, with the event name.
    *
    * @param {string} name - State parameter to subscribe to.
    * @param {object} callback - Callback to execute on state changes.
+   * @param {object} options - Options with `priority` for callback,
+   *     with higher priorities running first, and `once` for removing
+   *     the callback after it runs.
+   * @returns {function} Function for removing the subscription.
    */
-  subscribe(name, callback) {
+  subscribe(name, callback, options = {}) {
     const self = this;
 
     // check validity
     const values = Object.values(status);
-    if (!(values.includes(name))) {
+    if (name !== '*' && !(values.includes(name.split(':')[0]))) {
       const choices = values.join(', ');
-      throw new Error(`Cannot subscribe to \`${name}\`. Valid choices are: ${choices}`);
+      throw new Error(`Cannot subscribe to \`${name}\`. Valid choices are: *, ${choices}`);
     }
 
     // subscribe
-    self.events.subscribe(name, (...payload) => {
-      callback(self.stage, ...payload);
-      self.flush(false);
-    });
+    const invoke = (...payload) => {
+      try {
+        return callback(exposeStage(self, watch(self.stage, self.changes)), ...payload);
+
+      // transactional stores only flush changes alongside commits
+      } finally {
+        if (self.options.type !== types.TRANSACTIONAL || self.status.current === status.COMMIT) {
+          flushStage(self, false);
+        }
+      }
+    };
+    const wrapper = (...payload) => {
+      if (!self.options.awaitEvents) {
+        return invoke(...payload);
+      }
+
+      // run callbacks after async callbacks before them settle
+      const result = self.queue ? self.queue.then(() => invoke(...payload)) : invoke(...payload);
+      if (isPromise(result)) {
+        const queue = result.then(() => null, () => null);
+        self.queue = queue;
+        queue.then(() => {
+          if (self.queue === queue) {
+            self.queue = null;
+          }
+        });
+
+        // report rejections that no operation is waiting for
+        if (self.pending.size === 0) {
+          result.catch(err => self.events.report(err, name));
+        }
+        self.pending.forEach(pending => pending.push(result));
+      }
+      return result;
+    };
+    wrapper.callback = callback;
+    return self.events.subscribe(name, wrapper, options);
   }
 
   /**
-   * Commit change to store using mutation.
+   * Subscribe to specific state changes, removing the callback
+   * after it runs once.
    *
-   * @param {string} name - Name of mutation to commit.
-   * @param {object} payload - Arguments for mutation.
+   * @param {string} name - State parameter to subscribe to.
+   * @param {object} callback - Callback to execute on state changes.
+   * @param {object} options - Options with `priority` for callback.
+   * @returns {function} Function for removing the subscription.
    */
-  commit(name, ...payload) {
-    const self = this;
-
-    // assert mutation exists
-    if (typeof self.mutations[name] !== 'function') {
-      throw new Error(`Mutation \`${name}\` does not exist.`);
-    }
-
-    // emit before and open transaction
-    self.status.push(status.MUTATE);
+  once(name, callback, options = {}) {
+    return this.subscribe(name, callback, Object.assign({}, options, { once: true }));
+  }
 
-    // issue mutation and update state
-    let result;
-    try {
-      result = self.mutations[name](self.stage, ...payload);
-      self.flush();
-      self.events.publish(status.MUTATE, name, ...payload);
+  /**
+   * Remove callback subscribed to specific state changes.
+   *
+   * @param {string} name - Event name to unsubscribe from.
+   * @param {object} callback - Callback originally passed to `subscribe`.
+   */
+  unsubscribe(name, callback) {
+    const self = this;
+    const wrappers = self.events.listeners(name);
+    wrappers.filter(wrapper => wrapper.callback === callback).forEach((wrapper) => {
+      self.events.unsubscribe(name, wrapper);
+    });
+  }
 
-    // reset to idle
-    } finally {
-      self.status.pop();
+  /**
+   * Watch path in state (i.e. `user.name`), running callback with the
+   * new value, old value, and changed path whenever the value at the
+   * path changes. Paths can use `*` to match any key at a level (i.e.
+   * `items.*`), and can be namespaced to watch state in modules (i.e.
+   * `profile/user.name`).
+   *
+   * @param {string} path - Dot-separated path in state to watch.
+   * @param {function} callback - Callback to execute on changes.
+   * @returns {function} Function for removing the watcher.
+   */
+  watch(path, callback) {
+    const self = this;
+    if (path.includes('/')) {
+      const [module, local] = resolveModule(self, path);
+      return module.watch(local, callback);
     }
-    return result;
+    return self.watchers.add(path, callback, self.state);
   }
 
   /**
-   * Dispatch method for dispatching new actions managed by the store.
+   * Remove callback watching path in state.
    *
-   * @param {string} name - Name of action to dispatch.
-   * @param {object} payload - Arguments for action.
+   * @param {string} path - Path originally passed to `watch`.
+   * @param {function} callback - Callback originally passed to `watch`.
    */
-  dispatch(name, ...payload) {
+  unwatch(path, callback) {
     const self = this;
-
-    // assert action exists
-    if (typeof self.actions[name] !== 'function') {
-      throw new Error(`Action \`${name}\` does not exist.`);
+    if (path.includes('/')) {
+      const [module, local] = resolveModule(self, path);
+      module.unwatch(local, callback);
+      return;
     }
+    self.watchers.remove(path, callback);
+  }
 
-    // change status and open transaction
-    self.status.push(status.DISPATCH);
-
-    // dispatch and handle response
-    let result;
+  /**
+   * Apply JSON Patch (RFC 6902) operations to the store, committing
+   * the changes like a mutation. If any operation can't be applied,
+   * staged changes are rolled back.
+   *
+   * @param {array} patches - Patch operations to apply.
+   * @returns {object} Diff with the committed `patches`, and
+   *     `inverse` patches for reverting them.
+   */
+  applyPatch(patches) {
+    const self = this;
+    const diff = self.patches.record();
     try {
-      result = self.actions[name]({
-        state: self.stage,
-        commit: self.commit,
-        flush: () => self.flush(false),
-        dispatch: self.dispatch,
-        get: self.get,
-        apply: self.apply,
-      }, ...payload);
-      if (!isPromise(result)) {
-        if (self.status.previous === status.IDLE) {
-          self.flush();
-          self.events.publish(status.DISPATCH, name, ...payload);
-        }
+      applyPatch(watch(self.stage, self.changes), patches);
+      if (self.options.type !== types.FLUID) {
+        flushStage(self);
       }
     } catch (err) {
-      if (!isPromise(result)) {
-        self.rollback();
-      }
+      self.rollback();
       throw err;
     } finally {
-      if (!isPromise(result)) {
-        self.status.pop();
-      }
+      self.patches.stop(diff);
     }
+    return diff;
+  }
 
-    // promise lifecycle
-    if (isPromise(result)) {
-      result = result.then((response) => {
-        if (self.status.previous === status.IDLE) {
-          self.flush();
-          self.events.publish(status.DISPATCH, name, ...payload);
-        }
-        return response;
-      }).catch((err) => {
-        self.rollback();
-        throw err;
-      }).finally(() => {
-        self.status.pop();
+  /**
+   * Remove all callbacks subscribed to specific state changes,
+   * or all subscriptions if no event name is specified.
+   *
+   * @param {string} name - Event name to clear.
+   */
+  clear(name) {
+    const self = this;
+    const names = isUndefined(name) ? Object.keys(self.events.events) : [name];
+
+    // only remove callbacks added via `subscribe`
+    names.forEach((event) => {
+      const wrappers = self.events.listeners(event);
+      wrappers.filter(wrapper => wrapper.callback).forEach((wrapper) => {
+        self.events.unsubscribe(event, wrapper);
       });
+    });
+  }
+
+  /**
+   * Register middleware wrapping mutations and actions committed
+   * or dispatched by the store. See `MiddlewareManager` for the
+   * hooks middleware can define.
+   *
+   * @param {object} middleware - Object with `before`, `after`,
+   *     and `error` hooks.
+   * @returns {function} Function for removing the middleware.
+   */
+  use(middleware) {
+    return this.middleware.use(middleware);
+  }
+
+  /**
+   * Commit change to store using mutation. Stores with the
+   * `awaitEvents` option return a promise that resolves once
+   * async event callbacks have settled.
+   *
+   * @param {string} name - Name of mutation to commit.
+   * @param {object} payload - Arguments for mutation.
+   */
+  commit(name, ...payload) {
+    const self = this;
+    if (self.options.awaitEvents) {
+      return settle(self, () => mutate(self, name, payload));
     }
+    return mutate(self, name, payload);
+  }
 
-    return result;
+  /**
+   * Dispatch method for dispatching new actions managed by the store.
+   * Actions run against an isolated copy of the stage that is merged
+   * into the store when the action resolves, so concurrent actions
+   * don't overwrite or roll back each other's changes. Stores with
+   * the `awaitEvents` option wait for async event callbacks to
+   * settle before the returned promise resolves.
+   *
+   * @param {string} name - Name of action to dispatch.
+   * @param {object} payload - Arguments for action.
+   */
+  dispatch(name, ...payload) {
+    const self = this;
+    if (self.options.awaitEvents) {
+      let scheduled;
+      const result = settle(self, () => {
+        scheduled = schedule(self, name, payload);
+        return scheduled;
+      });
+      if (isPromise(scheduled)) {
+        result.cancel = scheduled.cancel;
+      }
+      return result;
+    }
+    return schedule(self, name, payload);
   }
 }
 
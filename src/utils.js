@@ -13,7 +13,7 @@ export function isEmpty(obj) {
  * Check if object is promise.
  */
 export function isPromise(obj) {
-  return typeof obj !== 'undefined' && typeof obj.then === 'function';
+  return typeof obj !== 'undefined' && obj !== null && typeof obj.then === 'function';
 }
 
 /**
@@ -31,10 +31,17 @@ export function isArray(obj) {
 }
 
 /**
- * Check if object is plain object type.
+ * Check if object is plain object type. Dates, maps, and sets
+ * are treated as single values instead of objects with keys.
  */
 export function isObject(obj) {
-  return (typeof obj === 'object') && (obj !== null) && !Array.isArray(obj);
+  if ((typeof obj !== 'object') || (obj === null)) {
+    return false;
+  } else if (Object.getPrototypeOf(obj) === Object.prototype) {
+    return true;
+  }
+  return !Array.isArray(obj)
+    && !(obj instanceof Date) && !(obj instanceof Map) && !(obj instanceof Set);
 }
 
 /**
@@ -48,7 +55,13 @@ export function isUndefined(obj) {
  * Clone object recursively.
  */
 export function clone(obj) {
-  if (isArray(obj)) {
+  if (obj instanceof Date) {
+    return new Date(obj.getTime());
+  } else if (obj instanceof Map) {
+    return new Map([...obj].map(([key, value]) => [key, clone(value)]));
+  } else if (obj instanceof Set) {
+    return new Set([...obj].map(item => clone(item)));
+  } else if (isArray(obj)) {
     return obj.map(item => clone(item));
   } else if (isObject(obj)) {
     const result = {};
@@ -60,3 +73,36 @@ export function clone(obj) {
     return obj;
   }
 }
+
+/**
+ * Check if objects are deeply equal.
+ */
+export function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  } else if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  } else if ((a instanceof Map && b instanceof Map) || (a instanceof Set && b instanceof Set)) {
+    return isEqual([...a], [...b]);
+  } else if (isArray(a) && isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  } else if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+      && keys.every(key => (key in b) && isEqual(a[key], b[key]));
+  } else {
+    return false;
+  }
+}
+
+/**
+ * Get nested value from object using path array.
+ */
+export function getPath(obj, path) {
+  return path.reduce((node, key) => {
+    if ((isObject(node) || isArray(node)) && (key in node)) {
+      return node[key];
+    }
+    return undefined;
+  }, obj);
+}
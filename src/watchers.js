@@ -0,0 +1,166 @@
+/**
+ * Classes for watching changes to paths in state.
+ */
+
+
+// imports
+import {
+  isObject, isArray, isEqual, clone,
+} from './utils';
+
+
+/**
+ * Path segment matching any key at that level.
+ */
+const WILDCARD = '*';
+
+
+/**
+ * Get nested value from object or array using path array.
+ *
+ * @param {object} data - Data to get value from.
+ * @param {array} path - Keys for value.
+ */
+function lookup(data, path) {
+  return path.reduce((node, key) => {
+    if ((isObject(node) || isArray(node)) && (key in node)) {
+      return node[key];
+    }
+    return undefined;
+  }, data);
+}
+
+
+/**
+ * Expand path with wildcards into list of paths for keys
+ * existing in data.
+ *
+ * @param {object} data - Data to expand path for.
+ * @param {array} path - Keys for path, with `*` for wildcards.
+ */
+function expand(data, path) {
+  let paths = [[]];
+  path.forEach((key) => {
+    const next = [];
+    paths.forEach((prefix) => {
+      if (key !== WILDCARD) {
+        next.push(prefix.concat(key));
+        return;
+      }
+      const node = lookup(data, prefix);
+      if (isObject(node) || isArray(node)) {
+        Object.keys(node).forEach(item => next.push(prefix.concat(item)));
+      }
+    });
+    paths = next;
+  });
+  return paths;
+}
+
+
+/**
+ * Class for managing callbacks watching paths in state (i.e.
+ * `user.name` or `items.*`). Watched state is recorded when
+ * callbacks are added and after each notification, so callbacks
+ * only run when the value at their path changes. Errors thrown by
+ * callbacks are reported instead of thrown, so they can't interrupt
+ * the commit that triggered them.
+ */
+export class WatchManager {
+
+  /**
+   * Constructor for object.
+   *
+   * @param {function} report - Function for reporting errors thrown
+   *     by callbacks, taking the error and the name of the event.
+   */
+  constructor(report) {
+    this.report = report;
+    this.watchers = [];
+    this.snapshot = {};
+  }
+
+  /**
+   * Record watched state, using the top-level keys for
+   * watched paths.
+   *
+   * @param {object} state - State to record.
+   */
+  capture(state) {
+    const result = {};
+    const keys = this.watchers.some(watcher => watcher.path[0] === WILDCARD)
+      ? Object.keys(state)
+      : this.watchers.map(watcher => watcher.path[0]);
+    keys.filter(key => key in state).forEach((key) => {
+      result[key] = clone(state[key]);
+    });
+    return result;
+  }
+
+  /**
+   * Add callback watching path in state.
+   *
+   * @param {string} path - Dot-separated path to watch.
+   * @param {function} callback - Callback to run with the new value,
+   *     old value, and changed path when the value at the path changes.
+   * @param {object} state - Current state for path.
+   * @returns {function} Function for removing the callback.
+   */
+  add(path, callback, state) {
+    const self = this;
+    const watcher = { key: path, path: path.split('.'), callback };
+    self.watchers.push(watcher);
+    self.snapshot = Object.assign(self.capture(state), self.snapshot);
+    return () => {
+      self.watchers = self.watchers.filter(item => item !== watcher);
+    };
+  }
+
+  /**
+   * Remove callback watching path in state.
+   *
+   * @param {string} path - Path callback was added for.
+   * @param {function} callback - Callback to remove.
+   */
+  remove(path, callback) {
+    this.watchers = this.watchers.filter(
+      watcher => watcher.key !== path || watcher.callback !== callback,
+    );
+  }
+
+  /**
+   * Run callbacks for paths that changed since the last
+   * notification.
+   *
+   * @param {object} state - Current state.
+   */
+  notify(state) {
+    const self = this;
+    if (self.watchers.length === 0) {
+      return;
+    }
+    const previous = self.snapshot;
+    self.snapshot = self.capture(state);
+
+    // diff paths against previous state
+    self.watchers.slice().forEach((watcher) => {
+      const paths = {};
+      expand(previous, watcher.path).concat(expand(state, watcher.path)).forEach((path) => {
+        paths[path.join('.')] = path;
+      });
+      Object.keys(paths).forEach((key) => {
+        const old = lookup(previous, paths[key]);
+        const value = lookup(state, paths[key]);
+        if (!isEqual(old, value)) {
+          try {
+            watcher.callback(value, old, key);
+          } catch (err) {
+            self.report(err, `watch:${watcher.key}`);
+          }
+        }
+      });
+    });
+  }
+}
+
+export default WatchManager;
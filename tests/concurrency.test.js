@@ -0,0 +1,388 @@
+/**
+ * Testing for concurrent actions.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../src/store';
+
+
+// config
+// ------
+function defer() {
+  const result = {};
+  result.promise = new Promise((resolve, reject) => {
+    result.resolve = resolve;
+    result.reject = reject;
+  });
+  return result;
+}
+
+function create(conflict) {
+  return new Store({
+    state: {
+      status: 'off',
+      counter: 0,
+      models: {},
+    },
+    actions: {
+      // async action reading state after waiting
+      add({ state }, number, wait) {
+        return wait.then(() => {
+          state.counter += number;
+          return state.counter;
+        });
+      },
+
+      // async action reading state before waiting
+      addEager({ state }, number, wait) {
+        state.counter += number;
+        return wait.then(() => state.counter);
+      },
+
+      // async action with status update
+      multiply({ state, flush }, fold, wait) {
+        state.status = 'on';
+        flush();
+        return wait.then(() => {
+          state.counter *= fold;
+          return state.counter;
+        }).finally(() => {
+          state.status = 'off';
+        });
+      },
+
+      // async action updating nested data
+      save({ state }, model, wait) {
+        state.models[model.id] = model;
+        return wait;
+      },
+
+      // async action with error
+      fail({ state }, wait) {
+        state.status = 'failed';
+        return wait.then(() => {
+          throw new Error('Error in action.');
+        });
+      },
+    },
+    options: conflict ? { conflict } : {},
+  });
+}
+
+
+// tests
+// -----
+test("concurrent.isolation", async () => {
+  const store = create();
+  const first = defer();
+  const second = defer();
+
+  // in-flight changes are isolated
+  const add = store.apply.addEager(2, first.promise);
+  const multiply = store.apply.multiply(3, second.promise);
+  assert.equal(store.state.counter, 0);
+  assert.equal(store.stage.counter, 0);
+  assert.equal(store.state.status, 'on');
+
+  // resolve out of order
+  second.resolve();
+  await multiply;
+  assert.equal(store.state.counter, 0);
+  assert.equal(store.state.status, 'off');
+  first.resolve();
+  await add;
+  assert.equal(store.state.counter, 2);
+  assert.equal(store.status.current, 'idle');
+});
+
+test("concurrent.interleaved", async () => {
+  const store = create();
+  const first = defer();
+  const second = defer();
+  const third = defer();
+
+  // actions reading after others resolve don't conflict
+  const promises = [
+    store.apply.add(2, first.promise),
+    store.apply.add(3, second.promise),
+    store.apply.multiply(2, third.promise),
+  ];
+  second.resolve();
+  await promises[1];
+  assert.equal(store.state.counter, 3);
+  first.resolve();
+  await promises[0];
+  assert.equal(store.state.counter, 5);
+  third.resolve();
+  await promises[2];
+  assert.equal(store.state.counter, 10);
+});
+
+test("concurrent.rollback", async () => {
+  const store = create();
+  const first = defer();
+  const second = defer();
+  const events = [];
+  store.subscribe('rollback', () => events.push('rollback'));
+
+  // start actions
+  const add = store.apply.addEager(2, first.promise);
+  const fail = store.apply.fail(second.promise);
+
+  // rollback from failed action keeps other changes
+  second.resolve();
+  try {
+    await fail;
+    assert.fail('Expected error.');
+  } catch (err) {
+    assert.equal(err.message, 'Error in action.');
+  }
+  assert.deepEqual(events, ['rollback']);
+  assert.equal(store.stage.status, 'off');
+
+  first.resolve();
+  await add;
+  assert.equal(store.state.counter, 2);
+  assert.equal(store.state.status, 'off');
+});
+
+test("concurrent.nested", async () => {
+  const store = create('reject');
+  const first = defer();
+  const second = defer();
+
+  // changes to different nested keys merge cleanly
+  const one = store.apply.save({ id: 1, foo: 'bar' }, first.promise);
+  const two = store.apply.save({ id: 2, foo: 'baz' }, second.promise);
+  second.resolve();
+  first.resolve();
+  await Promise.all([one, two]);
+  assert.deepEqual(store.state.models, {
+    1: { id: 1, foo: 'bar' },
+    2: { id: 2, foo: 'baz' },
+  });
+});
+
+test("concurrent.sync", async () => {
+  const store = new Store({
+    state: {
+      counter: 0,
+      user: { name: 'Alice', tags: ['a'] },
+    },
+    actions: {
+      rename({ state }, name) {
+        state.user.name = name;
+        state.user.tags.push(name);
+      },
+      fail({ state }) {
+        state.counter = 1;
+        state.user.name = 'Bob';
+        delete state.user.tags;
+        throw new Error('Error in action.');
+      },
+      update({ state }, wait) {
+        const user = state.user;
+        user.name = 'Carol';
+        return wait.then(() => {
+          user.tags.push('c');
+        });
+      },
+    },
+  });
+
+  // sync actions change the stage directly
+  store.apply.rename('Bob');
+  assert.deepEqual(store.state.user, { name: 'Bob', tags: ['a', 'Bob'] });
+
+  // changes from failed sync actions are reverted
+  assert.throws(() => store.apply.fail(), /Error in action/);
+  assert.equal(store.stage.counter, 0);
+  assert.deepEqual(store.stage.user, { name: 'Bob', tags: ['a', 'Bob'] });
+
+  // changes are isolated once actions return a promise
+  const wait = defer();
+  const promise = store.apply.update(wait.promise);
+  assert.equal(store.stage.user.name, 'Bob');
+  wait.resolve();
+  await promise;
+  assert.deepEqual(store.state.user, { name: 'Carol', tags: ['a', 'Bob', 'c'] });
+});
+
+test("concurrent.conflict.overwrite", async () => {
+  const store = create();
+  const first = defer();
+  const second = defer();
+
+  // last action to resolve wins
+  const promises = [
+    store.apply.addEager(2, first.promise),
+    store.apply.addEager(3, second.promise),
+  ];
+  first.resolve();
+  second.resolve();
+  await Promise.all(promises);
+  assert.equal(store.state.counter, 3);
+});
+
+test("concurrent.conflict.reject", async () => {
+  const store = create('reject');
+  const first = defer();
+  const second = defer();
+
+  // first action to resolve wins
+  const promises = [
+    store.apply.addEager(2, first.promise),
+    store.apply.addEager(3, second.promise),
+  ];
+  first.resolve();
+  await promises[0];
+  second.resolve();
+  try {
+    await promises[1];
+    assert.fail('Expected error.');
+  } catch (err) {
+    assert.match(err.message, /Conflict merging changes to `counter` from action `addEager`/);
+  }
+  assert.equal(store.state.counter, 2);
+  assert.equal(store.stage.counter, 2);
+});
+
+test("concurrent.conflict.merge", async () => {
+  const calls = [];
+  const store = create((key, current, incoming, base) => {
+    calls.push(key);
+    return current + incoming - base;
+  });
+  const first = defer();
+  const second = defer();
+
+  // custom merge
+  const promises = [
+    store.apply.addEager(2, first.promise),
+    store.apply.addEager(3, second.promise),
+  ];
+  first.resolve();
+  second.resolve();
+  await Promise.all(promises);
+  assert.equal(store.state.counter, 5);
+  assert.deepEqual(calls, ['counter']);
+});
+
+test("concurrent.options", async () => {
+  assert.throws(() => create('other'), /Invalid conflict policy/);
+});
+
+test("concurrent.cancel", async () => {
+  const store = create();
+  const first = defer();
+  const events = [];
+  store.subscribe('rollback', () => events.push('rollback'));
+
+  // cancelled actions are rolled back
+  const add = store.dispatch('addEager', 2, first.promise);
+  assert.isFunction(add.cancel);
+  add.cancel();
+  try {
+    await add;
+    assert.fail('Expected error.');
+  } catch (err) {
+    assert.equal(err.name, 'AbortError');
+    assert.match(err.message, /Action `addEager` was cancelled/);
+  }
+  assert.deepEqual(events, ['rollback']);
+  first.resolve();
+  await first.promise;
+  assert.equal(store.state.counter, 0);
+  assert.equal(store.status.current, 'idle');
+
+  // signals are passed to actions and nested actions
+  const signals = [];
+  store.register({
+    actions: {
+      outer({ signal, dispatch }) {
+        signals.push(signal);
+        return dispatch('inner');
+      },
+      inner({ signal }) {
+        signals.push(signal);
+        return new Promise(() => {});
+      },
+    },
+  });
+  const outer = store.dispatch('outer');
+  outer.cancel();
+  try {
+    await outer;
+    assert.fail('Expected error.');
+  } catch (err) {
+    assert.equal(err.name, 'AbortError');
+  }
+  assert.strictEqual(signals[0], signals[1]);
+  assert.isTrue(signals[0].aborted);
+
+  // sync actions return results directly
+  store.register({ actions: { sync: () => 1 } });
+  assert.equal(store.dispatch('sync'), 1);
+});
+
+test("concurrent.policies", async () => {
+  const store = create();
+  const calls = [];
+  const wait = {};
+  const action = ({ state, signal }, id) => {
+    calls.push(id);
+    wait[id] = defer();
+    return wait[id].promise.then(() => {
+      state.counter = id;
+      return signal.aborted;
+    });
+  };
+  store.register({
+    actions: {
+      latest: { handler: action, policy: 'takeLatest' },
+      first: { handler: action, policy: 'takeFirst' },
+      queued: { handler: action, policy: 'queue' },
+    },
+  });
+
+  // take latest, cancelling running actions
+  const stale = store.dispatch('latest', 1);
+  const latest = store.dispatch('latest', 2);
+  wait[2].resolve();
+  assert.isFalse(await latest);
+  wait[1].resolve();
+  try {
+    await stale;
+    assert.fail('Expected error.');
+  } catch (err) {
+    assert.equal(err.name, 'AbortError');
+  }
+  assert.equal(store.state.counter, 2);
+
+  // take first, ignoring dispatches while running
+  const first = store.dispatch('first', 3);
+  assert.strictEqual(store.dispatch('first', 4), first);
+  wait[3].resolve();
+  await first;
+  assert.equal(store.state.counter, 3);
+  assert.deepEqual(store.running, {});
+
+  // queue, running after previous actions settle
+  const queue = [store.dispatch('queued', 5), store.dispatch('queued', 6)];
+  assert.deepEqual(calls, [1, 2, 3, 5]);
+  wait[5].resolve();
+  await queue[0];
+  await new Promise(resolve => setTimeout(resolve));
+  assert.deepEqual(calls, [1, 2, 3, 5, 6]);
+  wait[6].resolve();
+  await queue[1];
+  assert.equal(store.state.counter, 6);
+
+  // invalid and unregistered policies
+  assert.throws(() => store.register({ actions: { other: { handler: action, policy: 'all' } } }), /Invalid policy `all` for action `other`/);
+  store.unregister({ actions: ['latest'] });
+  assert.notProperty(store.policies, 'latest');
+});
@@ -0,0 +1,72 @@
+/**
+ * Testing for stores outside the browser.
+ *
+ * @jest-environment node
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../src/store';
+
+
+// config
+// ------
+function create() {
+  return new Store({
+    state: {
+      counter: 0,
+    },
+    mutations: {
+      increment(state) {
+        state.counter += 1;
+      },
+    },
+    actions: {
+      increment({ commit }) {
+        commit('increment');
+      },
+      wait({ commit, signal }, promise) {
+        return promise.then(() => {
+          assert.isFalse(signal.aborted);
+          commit('increment');
+        });
+      },
+    },
+  });
+}
+
+
+// tests
+// -----
+test("environment.node", async () => {
+  // older node versions don't provide AbortController
+  const { AbortController } = global;
+  delete global.AbortController;
+  try {
+    const store = create();
+
+    // sync and async actions dispatch without a controller
+    store.dispatch('increment');
+    assert.equal(store.state.counter, 1);
+    await store.dispatch('wait', Promise.resolve());
+    assert.equal(store.state.counter, 2);
+
+    // async actions can still be cancelled
+    const pending = store.dispatch('wait', new Promise(() => {}));
+    pending.cancel();
+    try {
+      await pending;
+      assert.fail('Expected error.');
+    } catch (err) {
+      assert.equal(err.name, 'AbortError');
+    }
+    assert.equal(store.state.counter, 2);
+    assert.equal(store.status.current, 'idle');
+  } finally {
+    if (AbortController) {
+      global.AbortController = AbortController;
+    }
+  }
+});
@@ -7,6 +7,7 @@
 // -------
 import { assert } from 'chai';
 import store from './store';
+import Store from '../src/store';
 
 
 // fixtures
@@ -83,3 +84,248 @@ test("events.subscribe", async () => {
   assert.deepEqual(chain, ['idle', 'reset', 'idle']);
   assert.equal(store.status.current, 'idle');
 });
+
+test("events.unsubscribe", async () => {
+  let chain = [];
+  const record = () => {
+    chain.push('record');
+  };
+  const dispose = store.subscribe('commit', () => {
+    chain.push('dispose');
+  });
+  store.subscribe('dispatch', record);
+  store.subscribe('commit', record);
+
+  // subscriptions active
+  store.apply.increment();
+  assert.deepEqual(chain, ['dispose', 'record', 'record']);
+
+  // disposer
+  chain = [];
+  dispose();
+  store.apply.increment();
+  assert.deepEqual(chain, ['record', 'record']);
+
+  // unsubscribe
+  chain = [];
+  store.unsubscribe('commit', record);
+  store.apply.increment();
+  assert.deepEqual(chain, ['record']);
+
+  // clear
+  chain = [];
+  store.subscribe('reset', record);
+  store.clear('reset');
+  store.reset();
+  assert.deepEqual(chain, []);
+  store.unsubscribe('dispatch', record);
+});
+
+test("events.errors", async () => {
+  const errors = [];
+  const local = new Store({
+    state: { counter: 0, log: [] },
+    modules: {
+      profile: {
+        state: { name: 'Alice' },
+        events: {
+          commit() {
+            throw new Error('module');
+          },
+        },
+      },
+    },
+    options: {
+      onError: (err, event) => errors.push([err.message, event]),
+    },
+  });
+  local.subscribe('commit', () => {
+    throw new Error('failed');
+  });
+  local.subscribe('commit', (state) => {
+    state.log.push(state.counter);
+  });
+  local.subscribe('error', (state, err, event) => {
+    state.log.push(event);
+  });
+
+  // other callbacks run and the store stays consistent
+  local.commit('counter', 1);
+  assert.equal(local.status.current, 'idle');
+  assert.deepEqual(local.state.log, [1, 'commit']);
+  assert.deepEqual(errors, [['failed', 'commit']]);
+
+  // errors from modules
+  local.commit('profile/name', 'Bob');
+  assert.equal(local.profile.state.name, 'Bob');
+  assert.deepEqual(errors[errors.length - 1], ['module', 'profile/commit']);
+  assert.equal(local.state.log[local.state.log.length - 1], 'profile/commit');
+});
+
+test("events.strict", async () => {
+  const errors = [];
+  const local = new Store({
+    state: { counter: 0 },
+    actions: {
+      increment({ state }) {
+        state.counter += 1;
+      },
+      add({ state }, number) {
+        return Promise.resolve().then(() => {
+          state.counter += number;
+        });
+      },
+    },
+    options: {
+      strictEvents: true,
+      onError: (err, event) => errors.push([err.message, event]),
+    },
+  });
+  local.subscribe('dispatch', () => {
+    throw new Error('failed');
+  });
+
+  // errors are thrown once changes are committed
+  assert.throws(() => local.apply.increment(), /Error in `dispatch:increment` event callbacks: failed/);
+  assert.equal(local.state.counter, 1);
+  assert.equal(local.stage.counter, 1);
+  assert.equal(local.status.current, 'idle');
+  assert.deepEqual(errors, [['failed', 'dispatch:increment']]);
+
+  // errors for async actions
+  try {
+    await local.apply.add(2);
+    assert.fail('Expected error.');
+  } catch (err) {
+    assert.match(err.message, /Error in `dispatch:add` event callbacks: failed/);
+  }
+  assert.equal(local.state.counter, 3);
+  assert.equal(local.status.current, 'idle');
+
+  // errors from events for other operations
+  local.subscribe('reset', () => {
+    throw new Error('failed');
+  });
+  assert.throws(() => local.reset(), /Error in `reset` event callbacks/);
+  assert.equal(local.state.counter, 0);
+  assert.equal(local.status.current, 'idle');
+});
+
+test("events.async", async () => {
+  const saved = [];
+  const order = [];
+  const local = new Store({
+    state: { counter: 0 },
+    actions: {
+      add({ state }, value) {
+        state.counter += value;
+      },
+    },
+    events: {
+      commit: (state, diff) => new Promise(resolve => setTimeout(() => {
+        order.push('commit');
+        saved.push(diff.patches[0].value);
+        resolve();
+      }, 10)),
+      dispatch: () => {
+        order.push('dispatch');
+      },
+    },
+    options: {
+      awaitEvents: true,
+    },
+  });
+
+  // operations resolve after callbacks settle, in order
+  const first = local.dispatch('add', 1);
+  const second = local.commit('counter', 5);
+  assert.equal(local.state.counter, 5);
+  await first;
+  assert.deepEqual(saved, [1]);
+  assert.deepEqual(order, ['commit', 'dispatch']);
+  await second;
+  assert.deepEqual(saved, [1, 5]);
+
+  // rejected callbacks revert changes
+  const events = [];
+  local.subscribe('rollback', () => events.push('rollback'));
+  local.subscribe('mutate', () => Promise.reject(new Error('failed')));
+  let error;
+  try {
+    await local.commit('counter', 10);
+  } catch (err) {
+    error = err;
+  }
+  assert.equal(error.message, 'failed');
+  assert.equal(local.state.counter, 5);
+  assert.equal(local.stage.counter, 5);
+  assert.deepEqual(events, ['rollback']);
+
+  // rejections outside of commits and dispatches are reported
+  const reported = [];
+  local.subscribe('error', (state, err, event) => reported.push([err.message, event]));
+  local.subscribe('reset', () => Promise.reject(new Error('reset failed')));
+  local.reset();
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepEqual(reported, [['reset failed', 'reset']]);
+});
+
+test("events.options", async () => {
+  const track = [];
+  const local = new Store({
+    state: { counter: 0 },
+    actions: {
+      add({ state }, value) {
+        state.counter += value;
+      },
+      subtract({ state }, value) {
+        state.counter -= value;
+      },
+    },
+    modules: {
+      profile: {
+        state: { name: 'Alice' },
+      },
+    },
+  });
+  local.subscribe('dispatch:add', (state, name, value) => track.push(['add', value]));
+  local.subscribe('dispatch', (state, name) => track.push(['dispatch', name]), { priority: 1 });
+  local.once('mutate:profile/name', (state, name, value) => track.push([name, value]));
+  const remove = local.subscribe('*', (state, event) => track.push([event]));
+
+  // specific actions and mutations
+  local.apply.add(1);
+  local.apply.subtract(1);
+  local.commit('profile/name', 'Bob');
+  local.commit('profile/name', 'Carol');
+  assert.deepEqual(track, [
+    ['commit'],
+    ['dispatch', 'add'],
+    ['add', 1],
+    ['dispatch:add'],
+    ['idle'],
+    ['commit'],
+    ['dispatch', 'subtract'],
+    ['dispatch:subtract'],
+    ['idle'],
+    ['commit'],
+    ['profile/name', 'Bob'],
+    ['mutate:profile/name'],
+    ['idle'],
+    ['commit'],
+    ['mutate:profile/name'],
+    ['idle'],
+  ]);
+
+  // removing callbacks
+  remove();
+  local.unsubscribe('dispatch:add', track.push);
+  local.clear('dispatch');
+  track.length = 0;
+  local.apply.add(1);
+  assert.deepEqual(track, [['add', 1]]);
+
+  // invalid events
+  assert.throws(() => local.subscribe('update:add', () => {}), /Cannot subscribe to `update:add`/);
+});
+
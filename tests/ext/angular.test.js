@@ -1,4 +1,144 @@
+/**
+ * Testing for Angular module.
+ */
 
-test('angular.placeholder', () => {
-  expect(1).toBe(1);
+
+// imports
+// -------
+import 'zone.js';
+import { assert } from 'chai';
+import { Injector, NgZone } from '@angular/core';
+import Store from '../../src/store';
+import {
+  AuoraModule, AuoraService, STORE, provideAuora,
+} from '../../src/ext/angular';
+
+
+// config
+// ------
+function create() {
+  return new Store({
+    state: {
+      counter: 0,
+      user: { name: 'Alice' },
+    },
+    actions: {
+      increment({ state }) {
+        state.counter += 1;
+      },
+      load({ state }, wait) {
+        return wait.then((value) => {
+          state.counter = value;
+          return value;
+        });
+      },
+    },
+    modules: {
+      profile: {
+        state: { age: 0 },
+      },
+    },
+  });
+}
+
+/**
+ * Create service via injector with providers from `provideAuora`.
+ */
+function inject(store, zone) {
+  const providers = provideAuora(store);
+  const injector = Injector.create({
+    providers: providers.concat({ provide: NgZone, useValue: zone }),
+  });
+  return injector.get(AuoraService);
+}
+
+
+// tests
+// -----
+test("angular.module", async () => {
+  const store = create();
+  const zone = new NgZone({});
+  const providers = provideAuora(store);
+  assert.deepEqual(providers[0], { provide: STORE, useValue: store });
+
+  // module for applications using JIT compilation
+  const root = AuoraModule.forRoot(store);
+  assert.strictEqual(root.ngModule, AuoraModule);
+  assert.deepEqual(root.providers[0], providers[0]);
+
+  // injected service
+  const service = inject(store, zone);
+  assert.instanceOf(service, AuoraService);
+  assert.strictEqual(service.store, store);
+});
+
+test("angular.select", async () => {
+  const store = create();
+  const zone = new NgZone({});
+  const service = inject(store, zone);
+  const counter = [];
+  const names = [];
+  const ages = [];
+  const zones = [];
+  const subscription = service.select('counter').subscribe((value) => {
+    counter.push(value);
+    zones.push(NgZone.isInAngularZone());
+  });
+  service.select(state => state.user.name).subscribe(value => names.push(value));
+  service.select('profile/age').subscribe(value => ages.push(value));
+
+  // emit when selected data changes, inside the angular zone
+  zone.runOutsideAngular(() => {
+    store.commit('counter', 1);
+    store.commit('user', { name: 'Alice' });
+    store.profile.commit('age', 1);
+  });
+  await service.dispatch('increment');
+  store.reset();
+  assert.deepEqual(counter, [0, 1, 2, 0]);
+  assert.deepEqual(names, ['Alice']);
+  assert.deepEqual(ages, [0, 1]);
+  assert.isTrue(zones.every(item => item));
+
+  // unsubscribe
+  subscription.unsubscribe();
+  store.commit('counter', 3);
+  assert.equal(counter.length, 4);
+});
+
+test("angular.dispatch", async () => {
+  const store = create();
+  const zone = new NgZone({});
+  const service = inject(store, zone);
+  const runs = [];
+  const run = zone.run.bind(zone);
+  zone.run = (callback) => {
+    runs.push(callback);
+    return run(callback);
+  };
+
+  // sync passthroughs
+  service.commit('counter', 2);
+  assert.equal(store.state.counter, 2);
+  service.dispatch('increment');
+  assert.equal(store.state.counter, 3);
+
+  // async actions settle inside the angular zone
+  runs.length = 0;
+  const result = await zone.runOutsideAngular(() => service.dispatch('load', Promise.resolve(5)));
+  assert.equal(result, 5);
+  assert.equal(store.state.counter, 5);
+  assert.isAbove(runs.length, 0);
+
+  // cancellation
+  const promise = service.dispatch('load', new Promise(() => {}));
+  assert.isFunction(promise.cancel);
+  promise.cancel();
+  try {
+    await promise;
+    assert.fail('Expected error.');
+  } catch (err) {
+    assert.equal(err.name, 'AbortError');
+  }
+  assert.equal(store.state.counter, 5);
 });
@@ -0,0 +1,132 @@
+/**
+ * Testing for Redux DevTools plugin.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../../src/store';
+import devtools from '../../src/ext/devtools';
+
+
+// config
+// ------
+/**
+ * Mock for `window.__REDUX_DEVTOOLS_EXTENSION__`, recording
+ * messages sent to the monitor.
+ */
+function mockExtension() {
+  const extension = {
+    name: null,
+    initial: null,
+    sent: [],
+    listeners: [],
+    connect({ name }) {
+      extension.name = name;
+      return {
+        init: (state) => {
+          extension.initial = state;
+        },
+        send: (action, state) => extension.sent.push({ action, state }),
+        subscribe: (listener) => {
+          extension.listeners.push(listener);
+          return () => {};
+        },
+      };
+    },
+
+    // send message from monitor, serializing state like the extension
+    message(payload, state) {
+      const message = { type: 'DISPATCH', payload };
+      if (state) {
+        message.state = JSON.stringify(state);
+      }
+      extension.listeners.forEach(listener => listener(message));
+    },
+  };
+  return extension;
+}
+
+function create(extension) {
+  return new Store({
+    state: {
+      counter: 0,
+      updated: new Date(0),
+    },
+    mutations: {
+      add(state, value) {
+        state.counter += value;
+      },
+    },
+    actions: {
+      increment({ commit }) {
+        commit('add', 1);
+      },
+    },
+    modules: {
+      profile: {
+        state: { name: 'Alice' },
+      },
+    },
+    plugins: [devtools({ extension, name: 'test' })],
+  });
+}
+
+
+// tests
+// -----
+test("devtools.report", async () => {
+  const extension = mockExtension();
+  const store = create(extension);
+  assert.equal(extension.name, 'test');
+  assert.equal(extension.initial.state.counter, 0);
+
+  // mutations and actions
+  await store.apply.increment();
+  store.commit('profile/name', 'Bob');
+  assert.deepEqual(extension.sent.map(item => item.action), [
+    { type: 'add', event: 'mutate', payload: [1] },
+    { type: 'increment', event: 'dispatch', payload: [] },
+    { type: 'profile/name', event: 'mutate', payload: ['Bob'] },
+  ]);
+  assert.equal(extension.sent[1].state.state.counter, 1);
+  assert.equal(extension.sent[2].state.modules.profile.state.name, 'Bob');
+
+  // missing extension
+  assert.doesNotThrow(() => create());
+});
+
+test("devtools.travel", async () => {
+  const extension = mockExtension();
+  const store = create(extension);
+  store.commit('add', 1);
+  store.commit('add', 2);
+  store.commit('profile/name', 'Bob');
+  const [first, second] = extension.sent.map(item => item.state);
+
+  // jump to recorded states
+  extension.message({ type: 'JUMP_TO_STATE' }, first);
+  assert.equal(store.state.counter, 1);
+  assert.equal(store.stage.counter, 1);
+  assert.equal(store.profile.state.name, 'Alice');
+  assert.instanceOf(store.state.updated, Date);
+  extension.message({ type: 'JUMP_TO_ACTION' }, second);
+  assert.equal(store.state.counter, 3);
+  assert.equal(extension.sent.length, 3);
+
+  // rollback re-initializes monitor
+  extension.message({ type: 'ROLLBACK' }, first);
+  assert.equal(store.state.counter, 1);
+  assert.equal(extension.initial.state.counter, 1);
+
+  // import history
+  const lifted = { computedStates: [{ state: first }, { state: second }], currentStateIndex: 1 };
+  extension.message({ type: 'IMPORT_STATE', nextLiftedState: lifted });
+  assert.equal(store.state.counter, 3);
+  assert.deepEqual(extension.sent[extension.sent.length - 1], { action: null, state: lifted });
+
+  // changes after time travel are reported
+  store.commit('add', 1);
+  assert.equal(extension.sent[extension.sent.length - 1].state.state.counter, 4);
+});
@@ -1,4 +1,173 @@
+/**
+ * Testing for React bindings.
+ */
 
-test('react.placeholder', () => {
-  expect(1).toBe(1);
+
+// imports
+// -------
+import { assert } from 'chai';
+import { createElement } from 'react';
+import { create as render, act } from 'react-test-renderer';
+import Store from '../../src/store';
+import {
+  StoreProvider, useStore, useStoreState, useGetter, useAction,
+} from '../../src/ext/react';
+
+
+// config
+// ------
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+function create() {
+  return new Store({
+    state: {
+      counter: 0,
+      user: { name: 'Alice' },
+    },
+    getters: {
+      double: state => state.counter * 2,
+    },
+    actions: {
+      increment({ state }) {
+        state.counter += 1;
+      },
+    },
+    modules: {
+      profile: {
+        state: { age: 0 },
+        getters: {
+          adult: state => state.age >= 18,
+        },
+        actions: {
+          birthday({ state }) {
+            state.age += 1;
+          },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Render hook in component wrapped with provider, returning
+ * the latest result and number of renders.
+ */
+function renderHook(store, hook) {
+  const result = { renders: 0 };
+  const Component = () => {
+    result.current = hook();
+    result.renders += 1;
+    return null;
+  };
+  act(() => {
+    render(createElement(StoreProvider, { store }, createElement(Component)));
+  });
+  return result;
+}
+
+
+// tests
+// -----
+test("react.state", async () => {
+  const store = create();
+  const counter = renderHook(store, () => useStoreState(state => state.counter));
+  const user = renderHook(store, () => useStoreState(state => state.user, (a, b) => a.name === b.name));
+  const all = renderHook(store, () => useStoreState());
+  assert.equal(counter.current, 0);
+
+  // re-render on changes to selected data
+  act(() => {
+    store.commit('counter', 1);
+  });
+  assert.equal(counter.current, 1);
+  assert.equal(counter.renders, 2);
+  assert.equal(user.renders, 1);
+  assert.equal(all.current.counter, 1);
+
+  // equality functions
+  act(() => {
+    store.commit('user', { name: 'Alice' });
+  });
+  assert.equal(user.renders, 1);
+  act(() => {
+    store.commit('user', { name: 'Bob' });
+  });
+  assert.equal(user.current.name, 'Bob');
+
+  // reset and hydrate
+  act(() => {
+    store.reset();
+  });
+  assert.equal(counter.current, 0);
+  const payload = store.snapshot().replace('"counter":0', '"counter":5');
+  act(() => {
+    store.hydrate(payload);
+  });
+  assert.equal(counter.current, 5);
+
+  // missing provider
+  const Component = () => useStore();
+  assert.throws(() => act(() => {
+    render(createElement(Component));
+  }), /No store found/);
+});
+
+test("react.hooks", async () => {
+  const store = create();
+  const result = renderHook(store, () => ({
+    store: useStore(),
+    profile: useStore('profile'),
+    double: useGetter('double'),
+    adult: useGetter('profile/adult'),
+    increment: useAction('increment'),
+    birthday: useAction('profile/birthday'),
+  }));
+  assert.strictEqual(result.current.store, store);
+  assert.strictEqual(result.current.profile, store.profile);
+  assert.equal(result.current.double, 0);
+  assert.isFalse(result.current.adult);
+
+  // actions, with stable callbacks
+  const { increment } = result.current;
+  await act(async () => {
+    await result.current.increment();
+  });
+  assert.equal(result.current.double, 2);
+  assert.strictEqual(result.current.increment, increment);
+
+  // module actions and getters
+  await act(async () => {
+    store.profile.commit('age', 17);
+    await result.current.birthday();
+  });
+  assert.isTrue(result.current.adult);
+});
+
+test("react.modules", async () => {
+  const stores = {
+    counter: new Store({ state: { count: 0 }, getters: { double: state => state.count * 2 } }),
+    profile: create().profile,
+  };
+  const result = renderHook(stores, () => ({
+    count: useStoreState(state => state.counter.count),
+    double: useGetter('counter/double'),
+    profile: useStore('profile'),
+    birthday: useAction('profile/birthday'),
+  }));
+  assert.equal(result.current.count, 0);
+  assert.strictEqual(result.current.profile, stores.profile);
+
+  // changes in each store
+  act(() => {
+    stores.counter.commit('count', 2);
+  });
+  assert.equal(result.current.count, 2);
+  assert.equal(result.current.double, 4);
+  await act(async () => {
+    await result.current.birthday();
+  });
+  assert.equal(stores.profile.state.age, 1);
+
+  // names must be prefixed with modules
+  assert.throws(() => renderHook(stores, () => useGetter('double')), /prefixed with a module name/);
 });
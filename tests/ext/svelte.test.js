@@ -0,0 +1,109 @@
+/**
+ * Testing for Svelte store adapter.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../../src/store';
+import toSvelte, { fromStore, fromState, fromGetter } from '../../src/ext/svelte';
+
+
+// config
+// ------
+function create() {
+  return new Store({
+    state: {
+      counter: 0,
+      user: { name: 'Alice' },
+    },
+    getters: {
+      double: state => state.counter * 2,
+    },
+    mutations: {
+      add(state, value) {
+        state.counter += value;
+      },
+    },
+    modules: {
+      profile: {
+        state: { age: 0 },
+        getters: {
+          adult: state => state.age >= 18,
+        },
+      },
+    },
+  });
+}
+
+
+// tests
+// -----
+test("svelte.state", async () => {
+  const store = create();
+  const counter = toSvelte(store, 'counter');
+  const values = [];
+  const unsubscribe = counter.subscribe(value => values.push(value));
+
+  // run with current value and changes
+  store.commit('add', 2);
+  store.commit('user', { name: 'Bob' });
+  assert.deepEqual(values, [0, 2]);
+
+  // set and update via generated mutation
+  const mutations = [];
+  store.events.subscribe('mutate', name => mutations.push(name));
+  counter.set(5);
+  counter.update(value => value + 1);
+  assert.equal(store.state.counter, 6);
+  assert.deepEqual(values, [0, 2, 5, 6]);
+  assert.deepEqual(mutations, ['counter', 'counter']);
+
+  // reset and unsubscribe
+  store.reset();
+  unsubscribe();
+  store.commit('counter', 3);
+  assert.deepEqual(values, [0, 2, 5, 6, 0]);
+
+  // modules
+  const age = fromState(store, 'profile/age');
+  const ages = [];
+  age.subscribe(value => ages.push(value));
+  age.set(20);
+  assert.equal(store.profile.state.age, 20);
+  assert.deepEqual(ages, [0, 20]);
+  assert.throws(() => fromState(store, 'missing'), /State `missing` does not exist/);
+  assert.throws(() => fromState(store, 'other/age'), /Module `other` does not exist/);
+});
+
+test("svelte.getters", async () => {
+  const store = create();
+  const double = toSvelte(store, 'double');
+  const adult = fromGetter(store, 'profile/adult');
+  const values = [];
+  const adults = [];
+  double.subscribe(value => values.push(value));
+  adult.subscribe(value => adults.push(value));
+  assert.isUndefined(double.set);
+
+  // changes to getter results
+  store.commit('counter', 2);
+  store.profile.commit('age', 18);
+  store.profile.commit('age', 19);
+  assert.deepEqual(values, [0, 4]);
+  assert.deepEqual(adults, [false, true]);
+  assert.throws(() => fromGetter(store, 'missing'), /Getter `missing` does not exist/);
+});
+
+test("svelte.store", async () => {
+  const store = create();
+  const states = [];
+  const unsubscribe = fromStore(store).subscribe(state => states.push(state.counter));
+  store.commit('counter', 1);
+  unsubscribe();
+  store.commit('counter', 2);
+  assert.deepEqual(states, [0, 1]);
+  assert.isFunction(toSvelte(store).subscribe);
+  assert.throws(() => toSvelte({}), /Invalid store/);
+});
@@ -8,7 +8,10 @@
 import { assert } from 'chai';
 import store from '../store';
 import { createLocalVue, shallowMount } from '@vue/test-utils'
-import Auora from '../../src/ext/vue';
+import Auora, {
+  storeKey, useStore, useState, useGetter, useActions,
+} from '../../src/ext/vue';
+import Store from '../../src/store';
 
 
 // fixtures
@@ -126,6 +129,72 @@ describe('vue.global', () => {
 });
 
 
+describe('vue.render', () => {
+
+  const local = new Store({
+    state: {
+      count: 0,
+      status: 'idle',
+    },
+    getters: {
+      double: state => state.count * 2,
+    },
+    actions: {
+      load({ state }, value) {
+        return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+          state.count = value;
+        });
+      },
+      fail({ state }) {
+        state.count = -1;
+        return Promise.reject(new Error('Error in action.'));
+      },
+    },
+  });
+
+  const Counter = {
+    template: '<p>{{ count }} {{ double }}</p>',
+    state: ['count'],
+    getters: ['double'],
+  };
+
+  const localVue = createLocalVue();
+  localVue.use(Auora);
+
+  test("vue.render.updates", async () => {
+    const wrapper = shallowMount(Counter, {
+      localVue,
+      store: local,
+    });
+    assert.equal(wrapper.text(), '0 0');
+
+    // async actions
+    await local.dispatch('load', 2);
+    await wrapper.vm.$nextTick();
+    assert.equal(wrapper.text(), '2 4');
+
+    // rolled back actions
+    try {
+      await local.dispatch('fail');
+      assert.fail('Expected error.');
+    } catch (err) {
+      assert.equal(err.message, 'Error in action.');
+    }
+    await wrapper.vm.$nextTick();
+    assert.equal(wrapper.text(), '2 4');
+
+    // unrelated changes and resets
+    local.commit('status', 'done');
+    await wrapper.vm.$nextTick();
+    assert.equal(wrapper.text(), '2 4');
+    local.reset();
+    await wrapper.vm.$nextTick();
+    assert.equal(wrapper.text(), '0 0');
+  });
+
+});
+
+
 describe('vue.module', () => {
 
   const Counter = {
@@ -250,3 +319,153 @@ describe('vue.module', () => {
   });
 
 });
+
+
+describe('vue.root', () => {
+
+  const root = new Store({
+    state: {
+      user: 'root',
+    },
+    modules: {
+      profile: {
+        state: {
+          name: '<anonymous>',
+        },
+        getters: {
+          greeting: state => `Hello ${state.name}`,
+        },
+        actions: {
+          load({ state, rootState }) {
+            state.name = rootState.user;
+          },
+        },
+      },
+    },
+  });
+
+  const Global = {
+    template: '<div>{{ user }}</div>',
+    state: ['user'],
+  };
+
+  const Profile = {
+    template: '<div>{{ greeting }}</div>',
+    state: {
+      profile: ['name'],
+    },
+    getters: {
+      profile: ['greeting'],
+    },
+    actions: {
+      profile: {
+        loadProfile: 'load',
+      },
+    },
+  };
+
+  const localVue = createLocalVue();
+  localVue.use(Auora);
+
+  test("vue.root.setup", async () => {
+    const global = shallowMount(Global, {
+      localVue,
+      store: root,
+    });
+    assert.equal(global.vm.user, 'root');
+
+    const profile = shallowMount(Profile, {
+      localVue,
+      store: root,
+    });
+    assert.equal(profile.vm.name, '<anonymous>');
+    assert.equal(profile.vm.greeting, 'Hello <anonymous>');
+    assert.isFunction(profile.vm.loadProfile);
+
+    // module actions
+    profile.vm.loadProfile();
+    assert.equal(profile.vm.name, 'root');
+    assert.equal(root.profile.state.name, 'root');
+  });
+
+});
+
+
+describe('vue.composition', () => {
+
+  const Counter = {
+    template: '<div>{{ count }} {{ first }}</div>',
+    setup() {
+      const { increment } = useActions(['increment']);
+      return {
+        store: useStore(),
+        count: useState('counter'),
+        first: useGetter('first'),
+        increment,
+      };
+    },
+  };
+
+  const Module = {
+    template: '<div>{{ count }}</div>',
+    setup() {
+      return {
+        common: useStore('common'),
+        count: useState('common/counter'),
+        actions: useActions({ common: ['add'] }),
+      };
+    },
+  };
+
+  const localVue = createLocalVue();
+  localVue.use(Auora);
+
+  test("vue.composition.setup", async () => {
+    const wrapper = shallowMount(Counter, {
+      localVue,
+      store,
+    });
+    assert.strictEqual(wrapper.vm.store, store);
+    assert.equal(wrapper.text(), '0 0');
+
+    // actions
+    wrapper.vm.increment();
+    await wrapper.vm.$nextTick();
+    assert.equal(wrapper.text(), '1 0');
+
+    // writable state
+    wrapper.vm.count = 5;
+    await wrapper.vm.$nextTick();
+    assert.equal(store.state.counter, 5);
+    assert.equal(wrapper.text(), '5 0');
+  });
+
+  test("vue.composition.modules", async () => {
+    const wrapper = shallowMount(Module, {
+      localVue,
+      store: { common: store },
+    });
+    assert.strictEqual(wrapper.vm.common, store);
+    await wrapper.vm.actions.add(2);
+    await wrapper.vm.$nextTick();
+    assert.equal(wrapper.text(), '2');
+  });
+
+  test("vue.composition.app", async () => {
+    const provided = {};
+    const mixins = [];
+    const app = {
+      version: '3.3.0',
+      config: { globalProperties: {} },
+      provide: (key, value) => {
+        provided[key] = value;
+      },
+      mixin: mixin => mixins.push(mixin),
+    };
+    Auora(app, store);
+    assert.strictEqual(provided[storeKey], store);
+    assert.strictEqual(app.config.globalProperties.$store, store);
+    assert.equal(mixins.length, 1);
+  });
+
+});
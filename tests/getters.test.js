@@ -0,0 +1,263 @@
+/**
+ * Testing for getter caching.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../src/store';
+
+
+// config
+// ------
+let calls = {};
+
+function count(name) {
+  calls[name] = (calls[name] || 0) + 1;
+}
+
+const store = new Store({
+  state: {
+    status: 'off',
+    counter: 0,
+    history: [0],
+    models: {
+      1: { id: 1, name: 'one' },
+    },
+  },
+  getters: {
+    double(state) {
+      count('double');
+      return state.counter * 2;
+    },
+    last(state) {
+      count('last');
+      return state.history[state.history.length - 1];
+    },
+    names(state) {
+      count('names');
+      return Object.values(state.models).map(model => model.name);
+    },
+    size(state) {
+      count('size');
+      return Object.keys(state).length;
+    },
+    model: state => (id) => {
+      count('model');
+      return state.models[id];
+    },
+    plus: state => (value) => {
+      count('plus');
+      return state.counter + value;
+    },
+  },
+  mutations: {
+    push(state, value) {
+      state.history.push(value);
+    },
+    rename(state, id, name) {
+      state.models[id].name = name;
+    },
+  },
+  actions: {
+    increment({ state }) {
+      state.counter += 1;
+    },
+  },
+});
+
+
+// fixtures
+// --------
+beforeEach(() => {
+  store.reset();
+  calls = {};
+});
+
+
+// tests
+// -----
+test("getters.tracking", async () => {
+  assert.equal(store.get.double, 0);
+  assert.equal(store.get.last, 0);
+  assert.deepEqual(calls, { double: 1, last: 1 });
+
+  // unrelated changes keep cached results
+  store.commit('status', 'on');
+  store.commit('push', 1);
+  assert.equal(store.get.double, 0);
+  assert.equal(calls.double, 1);
+
+  // related changes invalidate cached results
+  assert.equal(store.get.last, 1);
+  assert.equal(calls.last, 2);
+  store.apply.increment();
+  assert.equal(store.get.double, 2);
+  assert.equal(store.get.last, 1);
+  assert.deepEqual(calls, { double: 2, last: 2 });
+
+  // changes to nested data
+  assert.deepEqual(store.get.names, ['one']);
+  store.commit('rename', 1, 'two');
+  assert.deepEqual(store.get.names, ['two']);
+  assert.equal(calls.names, 2);
+
+  // getters can't change state
+  const invalid = new Store({
+    state: { counter: 0 },
+    getters: {
+      invalid(state) {
+        state.counter = 1;
+      },
+    },
+  });
+  assert.throws(() => invalid.get.invalid, /Cannot change state in getters/);
+});
+
+test("getters.keys", async () => {
+  assert.equal(store.get.size, 4);
+  assert.equal(store.get.size, 4);
+  assert.equal(calls.size, 1);
+
+  // getters reading all keys are invalidated on any change
+  store.commit('status', 'on');
+  assert.equal(store.get.size, 4);
+  assert.equal(calls.size, 2);
+});
+
+test("getters.arguments", async () => {
+  const model = store.get.model;
+  assert.equal(model(1).name, 'one');
+  assert.equal(model(1).name, 'one');
+  assert.isUndefined(model(2));
+  assert.equal(calls.model, 2);
+  assert.equal(store.get.model, model);
+
+  // memoized results are invalidated with getter
+  assert.equal(store.get.plus(1), 1);
+  assert.equal(store.get.plus(1), 1);
+  assert.equal(calls.plus, 1);
+  store.apply.increment();
+  assert.equal(store.get.model, model);
+  assert.equal(store.get.plus(1), 2);
+  assert.equal(calls.plus, 2);
+
+  // stale functions don't return memoized results
+  store.commit('rename', 1, 'two');
+  assert.notEqual(store.get.model, model);
+  assert.equal(model(1).name, 'two');
+  assert.equal(store.get.model(1).name, 'two');
+});
+
+test("getters.reset", async () => {
+  store.apply.increment();
+  assert.equal(store.get.double, 2);
+  store.reset('counter');
+  assert.equal(store.get.double, 0);
+  store.apply.increment();
+  assert.equal(store.get.double, 2);
+  store.reset();
+  assert.equal(store.get.double, 0);
+});
+
+test("getters.flush", async () => {
+  assert.equal(store.get.double, 0);
+
+  // changes made directly to the stage invalidate all getters
+  store.stage.counter = 2;
+  const diff = store.flush();
+  assert.equal(store.get.double, 4);
+  assert.deepEqual(diff.patches, [{ op: 'replace', path: '/counter', value: 2 }]);
+});
+
+test("getters.composed", async () => {
+  const composed = new Store({
+    state: {
+      counter: 1,
+      status: 'off',
+    },
+    getters: {
+      double(state) {
+        count('double');
+        return state.counter * 2;
+      },
+      quadruple(state, get) {
+        count('quadruple');
+        return get.double * 2;
+      },
+      label: (state, get) => (prefix) => {
+        count('label');
+        return `${prefix} ${get.quadruple}`;
+      },
+    },
+  });
+  assert.equal(composed.get.quadruple, 4);
+  assert.equal(composed.get.label('count:'), 'count: 4');
+  assert.deepEqual(calls, { double: 1, quadruple: 1, label: 1 });
+
+  // unrelated changes
+  composed.commit('status', 'on');
+  assert.equal(composed.get.label('count:'), 'count: 4');
+  assert.deepEqual(calls, { double: 1, quadruple: 1, label: 1 });
+
+  // changes cascade through dependent getters
+  composed.commit('counter', 2);
+  assert.equal(composed.get.label('count:'), 'count: 8');
+  assert.deepEqual(calls, { double: 2, quadruple: 2, label: 2 });
+});
+
+test("getters.circular", async () => {
+  const circular = new Store({
+    state: {
+      counter: 1,
+    },
+    getters: {
+      one: (state, get) => get.two,
+      two: (state, get) => get.three,
+      three: (state, get) => get.one,
+      fib: (state, get) => n => (n < 2 ? n : get.fib(n - 1) + get.fib(n - 2)),
+    },
+  });
+  assert.throws(() => circular.get.one, 'Circular dependency detected for getter `one`: one -> two -> three -> one');
+
+  // recursive calls of returned functions are allowed
+  assert.equal(circular.get.fib(10), 55);
+});
+
+test("getters.modules", async () => {
+  const root = new Store({
+    state: {
+      factor: 2,
+    },
+    getters: {
+      factor(state) {
+        count('factor');
+        return state.factor;
+      },
+    },
+    modules: {
+      child: {
+        state: {
+          counter: 3,
+        },
+        getters: {
+          scaled(state, get, rootGet) {
+            count('scaled');
+            return state.counter * rootGet.factor;
+          },
+        },
+      },
+    },
+  });
+  assert.equal(root.get['child/scaled'], 6);
+  assert.equal(root.child.get.scaled, 6);
+  assert.deepEqual(calls, { factor: 1, scaled: 1 });
+
+  // root changes cascade to module getters
+  root.commit('factor', 3);
+  assert.equal(root.child.get.scaled, 9);
+  root.commit('child/counter', 4);
+  assert.equal(root.child.get.scaled, 12);
+  assert.deepEqual(calls, { factor: 2, scaled: 3 });
+});
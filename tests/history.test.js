@@ -0,0 +1,152 @@
+/**
+ * Testing for undo/redo history.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../src/store';
+
+
+// config
+// ------
+const store = new Store({
+  state: {
+    status: 'off',
+    counter: 0,
+  },
+  actions: {
+    increment({ state }) {
+      state.counter += 1;
+      return state.counter;
+    },
+    multiply({ state, flush }, fold) {
+      state.status = 'on';
+      flush();
+      return new Promise((resolve) => {
+        state.counter *= fold;
+        resolve(state.counter);
+      }).finally(() => {
+        state.status = 'off';
+      });
+    },
+    chain({ apply, commit }) {
+      commit('status', 'on');
+      apply.increment();
+      return apply.multiply(3).then(() => apply.increment());
+    },
+  },
+  options: {
+    history: 3,
+  },
+});
+
+
+// fixtures
+// --------
+beforeEach(() => {
+  store.reset();
+  store.history.clear(store.state);
+});
+
+
+// tests
+// -----
+test("history.undo", async () => {
+  assert.isFalse(store.canUndo);
+  assert.isFalse(store.canRedo);
+
+  // record changes
+  store.apply.increment();
+  store.commit('counter', 5);
+  await store.apply.multiply(2);
+  assert.equal(store.state.counter, 10);
+  assert.isTrue(store.canUndo);
+
+  // undo
+  store.undo();
+  assert.equal(store.state.counter, 5);
+  assert.equal(store.stage.counter, 5);
+  store.undo();
+  assert.equal(store.state.counter, 1);
+  store.undo();
+  assert.equal(store.state.counter, 0);
+  assert.isFalse(store.canUndo);
+  assert.isTrue(store.canRedo);
+
+  // noop without entries
+  store.undo();
+  assert.equal(store.state.counter, 0);
+});
+
+test("history.redo", async () => {
+  store.apply.increment();
+  store.apply.increment();
+  store.undo();
+  store.undo();
+
+  // redo
+  store.redo();
+  assert.equal(store.state.counter, 1);
+  store.redo();
+  assert.equal(store.state.counter, 2);
+  assert.isFalse(store.canRedo);
+
+  // new changes clear redo entries
+  store.undo();
+  store.commit('counter', 10);
+  assert.isFalse(store.canRedo);
+  store.undo();
+  assert.equal(store.state.counter, 1);
+});
+
+test("history.grouping", async () => {
+  // nested dispatches recorded as one entry
+  await store.apply.chain();
+  assert.equal(store.state.counter, 4);
+  assert.equal(store.state.status, 'off');
+  assert.equal(store.history.past.length, 1);
+
+  store.undo();
+  assert.equal(store.state.counter, 0);
+  assert.equal(store.state.status, 'off');
+});
+
+test("history.limit", async () => {
+  for (let i = 0; i < 5; i += 1) {
+    store.apply.increment();
+  }
+  assert.equal(store.history.past.length, 3);
+
+  // undo to oldest entry
+  store.undo();
+  store.undo();
+  store.undo();
+  assert.equal(store.state.counter, 2);
+  assert.isFalse(store.canUndo);
+});
+
+test("history.events", async () => {
+  const events = [];
+  const disposers = [
+    store.subscribe('undo', () => events.push('undo')),
+    store.subscribe('redo', () => events.push('redo')),
+  ];
+
+  store.apply.increment();
+  store.undo();
+  store.redo();
+  assert.deepEqual(events, ['undo', 'redo']);
+  assert.equal(store.state.counter, 1);
+  assert.isFalse(store.canRedo);
+  disposers.forEach(dispose => dispose());
+});
+
+test("history.disabled", async () => {
+  const other = new Store({ state: { counter: 0 } });
+  assert.isNull(other.history);
+  assert.isFalse(other.canUndo);
+  assert.throws(() => other.undo(), /without history/);
+  assert.throws(() => other.redo(), /without history/);
+});
@@ -79,9 +79,36 @@ const flat = new Store({
   },
 });
 
+const recursive = new Store({
+  state: {
+    data: {},
+    other: { list: [{ id: 1 }] },
+  },
+  actions: {
+    create({ state }, payload, error = false) {
+      const id = Object.keys(state.data).length + 1;
+      state.data[id] = Object.assign({ id, tags: [] }, payload);
+      if (error) {
+        throw new Error('Error adding new model to collection.');
+      }
+      return state.data[id];
+    },
+    tag({ state }, id, tag, error = false) {
+      state.data[id].tags.push(tag);
+      if (error) {
+        throw new Error('Error tagging existing model.');
+      }
+    },
+  },
+  options: {
+    recurse: true,
+  },
+});
+
 beforeEach(() => {
   nested.reset();
   flat.reset();
+  recursive.reset();
 });
 
 
@@ -209,3 +236,58 @@ test("flat.errors", async () => {
   assert.isTrue(Object.keys(flat.state).length === 1);
   assert.isTrue(Object.keys(flat.stage).length === 1);
 });
+
+
+test("recursive.crud", async () => {
+  const obj = { foo: 'bar' };
+  recursive.apply.create(obj);
+  recursive.apply.create({ foo: 'baz' });
+  const before = recursive.state;
+  const first = before.data[1];
+
+  // nested changes only copy changed data
+  recursive.apply.tag(2, 'a');
+  assert.deepEqual(recursive.state.data[2].tags, ['a']);
+  assert.notEqual(recursive.state, before);
+  assert.equal(recursive.state.data[1], first);
+  assert.equal(recursive.state.other, before.other);
+
+  // committed state isn't changed in place
+  assert.deepEqual(before.data[2].tags, []);
+  recursive.stage.data[1].tags.push('b');
+  assert.deepEqual(first.tags, []);
+  assert.deepEqual(recursive.stage.data[1].tags, ['b']);
+  recursive.rollback();
+
+  // input data isn't shared with state
+  obj.foo = 'changed';
+  assert.equal(recursive.state.data[1].foo, 'bar');
+});
+
+test("recursive.errors", async () => {
+  recursive.apply.create({ foo: 'bar' });
+  const before = recursive.state;
+
+  // create error
+  try {
+    await recursive.apply.create({ foo: 'baz' }, true);
+  } catch (e) {
+    // noop
+  }
+  assert.equal(recursive.state, before);
+  assert.isTrue(Object.keys(recursive.stage.data).length === 1);
+
+  // nested update error
+  try {
+    await recursive.apply.tag(1, 'a', true);
+  } catch (e) {
+    // noop
+  }
+  assert.deepEqual(recursive.state.data[1].tags, []);
+  assert.deepEqual(recursive.stage.data[1].tags, []);
+
+  // changes after rollback
+  recursive.apply.tag(1, 'b');
+  assert.deepEqual(recursive.state.data[1].tags, ['b']);
+  assert.deepEqual(before.data[1].tags, []);
+});
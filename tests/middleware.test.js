@@ -0,0 +1,169 @@
+/**
+ * Testing for plugins and middleware.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../src/store';
+
+
+// config
+// ------
+let log = [];
+
+function logger(store) {
+  store.use({
+    before: ({ type, name, payload }) => log.push(`before:${type}:${name}:${payload.join(',')}`),
+    after: ({ type, name }, result) => log.push(`after:${type}:${name}:${result}`),
+    error: ({ type, name }, err) => log.push(`error:${type}:${name}:${err.message}`),
+  });
+}
+
+function create(plugins) {
+  return new Store({
+    state: {
+      counter: 0,
+    },
+    mutations: {
+      add(state, value) {
+        state.counter += value;
+        return state.counter;
+      },
+    },
+    actions: {
+      add({ commit }, value) {
+        return commit('add', value);
+      },
+      addAsync({ state }, value) {
+        return Promise.resolve().then(() => {
+          state.counter += value;
+          return state.counter;
+        });
+      },
+      fail() {
+        throw new Error('Error in action.');
+      },
+      failAsync() {
+        return Promise.reject(new Error('Error in action.'));
+      },
+    },
+    plugins,
+  });
+}
+
+
+// fixtures
+// --------
+beforeEach(() => {
+  log = [];
+});
+
+
+// tests
+// -----
+test("middleware.plugins", async () => {
+  let installed = null;
+  const store = create([(instance) => {
+    installed = instance;
+  }]);
+  assert.equal(installed, store);
+});
+
+test("middleware.hooks", async () => {
+  const store = create([logger]);
+
+  // mutation
+  store.commit('add', 1);
+  assert.deepEqual(log, ['before:mutate:add:1', 'after:mutate:add:1']);
+
+  // nested mutation
+  log = [];
+  store.dispatch('add', 2);
+  assert.deepEqual(log, [
+    'before:dispatch:add:2',
+    'before:mutate:add:2',
+    'after:mutate:add:3',
+    'after:dispatch:add:3',
+  ]);
+
+  // async action
+  log = [];
+  const result = await store.dispatch('addAsync', 3);
+  assert.equal(result, 6);
+  assert.deepEqual(log, ['before:dispatch:addAsync:3', 'after:dispatch:addAsync:6']);
+});
+
+test("middleware.errors", async () => {
+  const store = create([logger]);
+
+  // sync
+  assert.throws(() => store.dispatch('fail'), /Error in action/);
+  assert.deepEqual(log, ['before:dispatch:fail:', 'error:dispatch:fail:Error in action.']);
+
+  // async
+  log = [];
+  try {
+    await store.dispatch('failAsync');
+    assert.fail('Expected error.');
+  } catch (err) {
+    assert.equal(err.message, 'Error in action.');
+  }
+  assert.deepEqual(log, ['before:dispatch:failAsync:', 'error:dispatch:failAsync:Error in action.']);
+});
+
+test("middleware.transform", async () => {
+  const store = create([logger, (instance) => {
+    instance.use({
+      before: ({ type, payload }) => {
+        if (type === 'mutate') {
+          return [payload[0] * 10];
+        }
+        return undefined;
+      },
+    });
+  }]);
+
+  // payload transformed for later middleware and operation
+  store.commit('add', 1);
+  assert.equal(store.state.counter, 10);
+  assert.deepEqual(log, ['before:mutate:add:1', 'after:mutate:add:10']);
+});
+
+test("middleware.cancel", async () => {
+  const store = create([(instance) => {
+    instance.use({
+      before: ({ name, payload }) => !(name === 'add' && payload[0] < 0),
+    });
+  }, logger]);
+  const events = [];
+  store.subscribe('mutate', () => events.push('mutate'));
+
+  // cancelled operations are skipped
+  assert.isUndefined(store.commit('add', -1));
+  assert.isUndefined(store.dispatch('add', -1));
+  assert.equal(store.state.counter, 0);
+  assert.deepEqual(events, []);
+  assert.deepEqual(log, []);
+
+  // other operations run
+  store.commit('add', 1);
+  assert.equal(store.state.counter, 1);
+  assert.deepEqual(events, ['mutate']);
+});
+
+test("middleware.remove", async () => {
+  const store = create();
+  const remove = store.use({
+    before: () => log.push('before'),
+  });
+  store.commit('add', 1);
+  assert.deepEqual(log, ['before']);
+
+  // removed middleware isn't called
+  remove();
+  store.commit('add', 1);
+  assert.deepEqual(log, ['before']);
+  assert.equal(store.state.counter, 2);
+});
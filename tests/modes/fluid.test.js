@@ -0,0 +1,112 @@
+/**
+ * Testing for fluid store type.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../../src/store';
+
+
+// config
+// ------
+const store = new Store({
+  state: {
+    status: 'idle',
+    counter: 0,
+    model: {
+      1: { id: 1, foo: 'bar' },
+    },
+    history: [],
+  },
+  actions: {
+    // async action with several changes
+    add({ state }, value) {
+      state.status = 'running';
+      return Promise.resolve().then(() => {
+        state.counter += value;
+        return state.counter;
+      }).finally(() => {
+        state.status = 'idle';
+      });
+    },
+
+    // action with nested changes
+    rename({ state }, id, value) {
+      state.model[id].foo = value;
+    },
+  },
+  events: {
+    commit(state) {
+      state.history.push(state.counter);
+    },
+  },
+  options: {
+    type: 'fluid',
+  },
+});
+
+let events = [];
+store.subscribe('commit', state => events.push(`commit:${state.status}`));
+store.subscribe('mutate', () => events.push('mutate'));
+store.subscribe('dispatch', () => events.push('dispatch'));
+
+
+// fixtures
+// --------
+beforeEach(() => {
+  store.reset();
+  events = [];
+});
+
+
+// tests
+// -----
+test("fluid.dispatch", async () => {
+  // every change is committed
+  const promise = store.apply.add(2);
+  assert.equal(store.state.status, 'running');
+  assert.deepEqual(events, ['commit:running']);
+
+  // resolve
+  await promise;
+  assert.equal(store.state.status, 'idle');
+  assert.equal(store.state.counter, 2);
+  assert.deepEqual(events, ['commit:running', 'commit:running', 'commit:idle', 'dispatch']);
+  assert.deepEqual(store.state.history, [0, 2, 2]);
+});
+
+test("fluid.nested", async () => {
+  const model = store.state.model;
+
+  // nested change in action
+  store.apply.rename(1, 'baz');
+  assert.equal(store.state.model[1].foo, 'baz');
+  assert.notEqual(store.state.model, model);
+  assert.deepEqual(events, ['commit:idle', 'dispatch']);
+
+  // nested change on stage
+  events = [];
+  store.stage.model[2] = { id: 2, foo: 'bar' };
+  assert.deepEqual(store.state.model[2], { id: 2, foo: 'bar' });
+  assert.deepEqual(events, ['commit:idle']);
+});
+
+test("fluid.commit", async () => {
+  store.commit('counter', 3);
+  assert.equal(store.state.counter, 3);
+  assert.deepEqual(events, ['commit:idle', 'mutate']);
+});
+
+test("fluid.reset", async () => {
+  store.commit('counter', 3);
+
+  // reset restores observed stage
+  store.reset();
+  events = [];
+  assert.equal(store.state.counter, 0);
+  store.stage.counter = 1;
+  assert.equal(store.state.counter, 1);
+  assert.deepEqual(events, ['commit:idle']);
+});
@@ -0,0 +1,115 @@
+/**
+ * Testing for strict store type.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../../src/store';
+
+
+// config
+// ------
+const store = new Store({
+  state: {
+    counter: 0,
+    history: [0],
+  },
+  mutations: {
+    add(state, value) {
+      state.counter += value;
+      state.history.push(state.counter);
+    },
+  },
+  actions: {
+    // action using mutations
+    increment({ state, commit }) {
+      commit('add', 1);
+      return state.counter;
+    },
+
+    // async action using mutations
+    double({ state, commit }) {
+      return new Promise((resolve) => {
+        commit('counter', state.counter * 2);
+        resolve(state.counter);
+      });
+    },
+
+    // action changing state directly
+    unsafe({ state }) {
+      state.counter = 100;
+    },
+
+    // action changing nested state directly
+    unsafeNested({ state }) {
+      state.history.push(100);
+    },
+  },
+  options: {
+    type: 'strict',
+  },
+});
+
+let events = [];
+store.subscribe('commit', () => events.push('commit'));
+store.subscribe('mutate', () => events.push('mutate'));
+store.subscribe('dispatch', () => events.push('dispatch'));
+store.subscribe('rollback', () => events.push('rollback'));
+
+
+// fixtures
+// --------
+beforeEach(() => {
+  store.reset();
+  events = [];
+});
+
+
+// tests
+// -----
+test("strict.options", async () => {
+  assert.equal(store.options.type, 'strict');
+  assert.throws(() => new Store({ options: { type: 'other' } }), /Invalid store type/);
+});
+
+test("strict.mutations", async () => {
+  // auto-generated mutation
+  store.commit('counter', 2);
+  assert.equal(store.state.counter, 2);
+  assert.deepEqual(events, ['commit', 'mutate']);
+
+  // explicit mutation
+  events = [];
+  store.commit('add', 1);
+  assert.equal(store.state.counter, 3);
+  assert.deepEqual(store.state.history, [0, 3]);
+  assert.deepEqual(events, ['commit', 'mutate']);
+});
+
+test("strict.actions", async () => {
+  // sync action with mutation
+  const result = store.apply.increment();
+  assert.equal(result, 1);
+  assert.equal(store.state.counter, 1);
+  assert.deepEqual(events, ['commit', 'mutate', 'dispatch']);
+
+  // async action with mutation
+  events = [];
+  await store.apply.double();
+  assert.equal(store.state.counter, 2);
+  assert.deepEqual(events, ['commit', 'mutate', 'dispatch']);
+});
+
+test("strict.rejected", async () => {
+  // direct change in action
+  assert.throws(() => store.apply.unsafe(), /outside of a mutation/);
+  assert.equal(store.state.counter, 0);
+  assert.equal(store.status.current, 'idle');
+
+  // nested change in action
+  assert.throws(() => store.apply.unsafeNested(), /outside of a mutation/);
+  assert.deepEqual(store.state.history, [0]);
+  assert.deepEqual(events, ['rollback', 'rollback']);
+});
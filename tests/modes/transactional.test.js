@@ -0,0 +1,107 @@
+/**
+ * Testing for transactional store type.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../../src/store';
+
+
+// config
+// ------
+const store = new Store({
+  state: {
+    status: 'idle',
+    counter: 0,
+  },
+  actions: {
+    // action without explicit flush
+    increment({ state }) {
+      state.counter += 1;
+      return state.counter;
+    },
+
+    // async action with explicit flush
+    add({ state, flush }, value) {
+      state.status = 'running';
+      flush();
+      return new Promise((resolve) => {
+        state.counter += value;
+        resolve(state.counter);
+      }).finally(() => {
+        state.status = 'idle';
+        flush();
+      });
+    },
+
+    // action with explicit flush before error
+    fail({ state, flush }) {
+      state.counter = 5;
+      flush();
+      state.counter = 10;
+      throw new Error('Error in action.');
+    },
+  },
+  options: {
+    type: 'transactional',
+  },
+});
+
+let events = [];
+store.subscribe('commit', state => events.push(`commit:${state.counter}`));
+store.subscribe('mutate', () => events.push('mutate'));
+store.subscribe('dispatch', () => events.push('dispatch'));
+
+
+// fixtures
+// --------
+beforeEach(() => {
+  store.reset();
+  events = [];
+});
+
+
+// tests
+// -----
+test("transactional.dispatch", async () => {
+  // changes remain staged without explicit flush
+  store.apply.increment();
+  assert.equal(store.state.counter, 0);
+  assert.equal(store.stage.counter, 1);
+  assert.deepEqual(events, ['dispatch']);
+
+  // explicit flush from store
+  events = [];
+  store.flush();
+  assert.equal(store.state.counter, 1);
+  assert.deepEqual(events, ['commit:1']);
+});
+
+test("transactional.flush", async () => {
+  // explicit flush in action
+  const promise = store.apply.add(2);
+  assert.equal(store.state.status, 'running');
+  assert.deepEqual(events, ['commit:0']);
+
+  // resolve with explicit flush
+  await promise;
+  assert.equal(store.state.status, 'idle');
+  assert.equal(store.state.counter, 2);
+  assert.deepEqual(events, ['commit:0', 'commit:2', 'dispatch']);
+});
+
+test("transactional.commit", async () => {
+  store.commit('counter', 3);
+  assert.equal(store.state.counter, 3);
+  assert.deepEqual(events, ['commit:3', 'mutate']);
+});
+
+test("transactional.rollback", async () => {
+  // only explicitly flushed changes persist
+  assert.throws(() => store.apply.fail(), /Error in action/);
+  assert.equal(store.state.counter, 5);
+  assert.equal(store.stage.counter, 5);
+  assert.deepEqual(events, ['commit:5']);
+});
@@ -0,0 +1,188 @@
+/**
+ * Testing for store modules.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store, { findModule, resolveModule } from '../src/store';
+
+
+// config
+// ------
+function create() {
+  return new Store({
+    state: {
+      user: null,
+    },
+    actions: {
+      login({ commit, dispatch }, name) {
+        commit('user', name);
+        return dispatch('feed/refresh');
+      },
+    },
+    modules: {
+      profile: {
+        state: {
+          name: '<anonymous>',
+        },
+        getters: {
+          greeting: state => `Hello ${state.name}`,
+        },
+        actions: {
+          load({ state, rootState }) {
+            state.name = rootState.user;
+            return state.name;
+          },
+        },
+        modules: {
+          settings: {
+            state: {
+              theme: 'light',
+            },
+          },
+        },
+      },
+      feed: new Store({
+        state: {
+          items: [],
+        },
+        actions: {
+          refresh({ state, root }) {
+            return Promise.resolve().then(() => {
+              state.items = [`post from ${root.state.user}`];
+              return root.dispatch('profile/load');
+            });
+          },
+        },
+      }),
+    },
+  });
+}
+
+
+// tests
+// -----
+test("modules.setup", async () => {
+  const store = create();
+  assert.instanceOf(store.profile, Store);
+  assert.instanceOf(store.feed, Store);
+  assert.instanceOf(store.profile.settings, Store);
+  assert.deepEqual(Object.keys(store.modules), ['profile', 'feed']);
+  assert.equal(store.profile.root, store);
+  assert.equal(store.profile.settings.root, store);
+  assert.equal(store.profile.parent, store);
+  assert.equal(store.root, store);
+
+  // module state is isolated
+  assert.deepEqual(store.state, { user: null });
+  assert.deepEqual(store.profile.state, { name: '<anonymous>' });
+  assert.equal(store.profile.settings.state.theme, 'light');
+});
+
+test("modules.namespaced", async () => {
+  const store = create();
+
+  // mutations
+  store.commit('profile/name', 'test');
+  assert.equal(store.profile.state.name, 'test');
+  store.commit('profile/settings/theme', 'dark');
+  assert.equal(store.profile.settings.state.theme, 'dark');
+
+  // getters
+  assert.equal(store.get['profile/greeting'], 'Hello test');
+  assert.isUndefined(store.get.greeting);
+
+  // actions
+  store.commit('user', 'other');
+  assert.equal(store.dispatch('profile/load'), 'other');
+  assert.equal(store.profile.state.name, 'other');
+
+  // errors
+  assert.throws(() => store.dispatch('other/load'), /Module `other` does not exist/);
+  assert.throws(() => store.commit('profile/other/name'), /Module `profile\/other` does not exist/);
+  assert.throws(() => store.dispatch('profile/other'), /Action `other` does not exist/);
+});
+
+test("modules.resolve", async () => {
+  const store = create();
+  assert.deepEqual(resolveModule(store, 'profile/name'), [store.profile, 'name']);
+  assert.deepEqual(resolveModule(store, 'user'), [store, 'user']);
+
+  // plain objects of stores, used by framework bindings
+  const stores = { root: store };
+  assert.strictEqual(findModule(stores, ['root', 'profile']), store.profile);
+  assert.deepEqual(resolveModule(stores, 'root/profile/name'), [store.profile, 'name']);
+  assert.throws(() => resolveModule(stores, 'name'), /prefixed with a module name/);
+  assert.throws(() => findModule(stores, ['root', 'other']), /Module `root\/other` does not exist/);
+});
+
+test("modules.root", async () => {
+  const store = create();
+  await store.apply.login('user');
+  assert.equal(store.state.user, 'user');
+  assert.deepEqual(store.feed.state.items, ['post from user']);
+  assert.equal(store.profile.state.name, 'user');
+});
+
+test("modules.events", async () => {
+  const store = create();
+  const events = [];
+  store.subscribe('dispatch', (state, name) => events.push(`dispatch:${name}`));
+  store.subscribe('mutate', (state, name) => events.push(`mutate:${name}`));
+  const child = [];
+  store.profile.subscribe('mutate', (state, name) => child.push(`mutate:${name}`));
+
+  // events bubble with namespaced names
+  store.commit('profile/settings/theme', 'dark');
+  assert.deepEqual(events, ['mutate:profile/settings/theme']);
+  assert.deepEqual(child, ['mutate:settings/theme']);
+
+  // nested dispatches
+  events.length = 0;
+  await store.apply.login('user');
+  assert.deepEqual(events, [
+    'mutate:user',
+    'dispatch:profile/load',
+    'dispatch:feed/refresh',
+    'dispatch:login',
+  ]);
+});
+
+test("modules.register", async () => {
+  const store = create();
+  const module = store.registerModule('cart', { state: { items: [] } });
+  assert.equal(store.cart, module);
+  store.commit('cart/items', [1]);
+  assert.deepEqual(store.cart.state.items, [1]);
+
+  // errors
+  assert.throws(() => store.registerModule('state', {}), /Name conflicts/);
+  assert.throws(() => store.registerModule('a/b', {}), /cannot contain/);
+  assert.throws(() => new Store({ modules: { cart: module } }), /already a module/);
+});
+
+test("modules.unregister", async () => {
+  const store = create();
+  const module = store.registerModule('cart', { state: { items: [] } });
+  const events = [];
+  store.subscribe('mutate', (state, name) => events.push(name));
+
+  // remove module
+  store.unregister({ modules: ['cart'] });
+  assert.isTrue(typeof store.cart === 'undefined');
+  assert.isFalse('cart' in store.modules);
+  assert.isNull(module.parent);
+  assert.throws(() => store.commit('cart/items', [1]), /does not exist/);
+
+  // events no longer bubble
+  module.commit('items', [1]);
+  assert.deepEqual(module.state.items, [1]);
+  assert.deepEqual(events, []);
+
+  // module can be registered again
+  store.registerModule('cart', module);
+  store.commit('cart/items', [2]);
+  assert.deepEqual(events, ['cart/items']);
+});
@@ -0,0 +1,171 @@
+/**
+ * Testing for JSON Patch diffs.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../src/store';
+import { createPatch, applyPatch } from '../src/patch';
+import { clone } from '../src/utils';
+
+
+// config
+// ------
+function create(options) {
+  return new Store({
+    state: {
+      counter: 0,
+      user: {
+        name: 'Alice',
+        'a/b': 1,
+      },
+      items: [1, 2],
+    },
+    mutations: {
+      rename(state, name) {
+        state.user.name = name;
+      },
+      append(state, item) {
+        state.items.push(item);
+      },
+    },
+    actions: {
+      update({ commit }, name) {
+        commit('rename', name);
+        commit('append', 3);
+      },
+      increment({ state, commit }) {
+        commit('counter', state.counter + 1);
+      },
+    },
+    options: options || {},
+  });
+}
+
+
+// tests
+// -----
+test("patch.diff", async () => {
+  const before = {
+    a: 1, b: { c: [1, 2, 3], 'd~e': true }, f: 'remove',
+  };
+  const after = {
+    a: 2, b: { c: [1, 4], g: null, 'd~e': true }, h: [],
+  };
+  const { patches, inverse } = createPatch(before, after);
+  assert.deepEqual(patches, [
+    { op: 'replace', path: '/a', value: 2 },
+    { op: 'replace', path: '/b/c/1', value: 4 },
+    { op: 'remove', path: '/b/c/2' },
+    { op: 'add', path: '/b/g', value: null },
+    { op: 'remove', path: '/f' },
+    { op: 'add', path: '/h', value: [] },
+  ]);
+
+  // patches and inverse round-trip
+  assert.deepEqual(applyPatch(clone(before), patches), after);
+  assert.deepEqual(applyPatch(clone(after), inverse), before);
+});
+
+test("patch.apply", async () => {
+  const data = { a: { b: 1 }, list: [1, 2] };
+  applyPatch(data, [
+    { op: 'add', path: '/list/-', value: 3 },
+    { op: 'add', path: '/list/0', value: 0 },
+    { op: 'copy', from: '/a', path: '/c' },
+    { op: 'move', from: '/a/b', path: '/d' },
+    { op: 'test', path: '/d', value: 1 },
+  ]);
+  assert.deepEqual(data, {
+    a: {}, c: { b: 1 }, d: 1, list: [0, 1, 2, 3],
+  });
+
+  // errors
+  assert.throws(() => applyPatch(data, [{ op: 'test', path: '/d', value: 2 }]), /test failed/);
+  assert.throws(() => applyPatch(data, [{ op: 'replace', path: '/x/y', value: 2 }]), /does not exist/);
+  assert.throws(() => applyPatch(data, [{ op: 'remove', path: '/list/4' }]), /does not exist/);
+  assert.throws(() => applyPatch(data, [{ op: 'update', path: '/d' }]), /Invalid patch operation/);
+});
+
+test("patch.events", async () => {
+  const store = create();
+  const events = [];
+  store.subscribe('commit', (state, diff) => events.push(['commit', diff.patches]));
+  store.subscribe('mutate', (state, name, item, diff) => events.push(['mutate', diff.patches]));
+  store.subscribe('dispatch', (state, name, value, diff) => events.push(['dispatch', diff]));
+
+  // in-place changes to nested data
+  store.commit('append', 3);
+  const added = [{ op: 'add', path: '/items/2', value: 3 }];
+  assert.deepEqual(events, [['commit', added], ['mutate', added]]);
+
+  // changes across nested mutations in action
+  events.length = 0;
+  await store.dispatch('update', 'Bob');
+  const [type, diff] = events[events.length - 1];
+  assert.equal(type, 'dispatch');
+  assert.deepEqual(diff.patches, [
+    { op: 'replace', path: '/user/name', value: 'Bob' },
+    { op: 'add', path: '/items/3', value: 3 },
+  ]);
+  assert.deepEqual(diff.inverse, [
+    { op: 'remove', path: '/items/3' },
+    { op: 'replace', path: '/user/name', value: 'Alice' },
+  ]);
+  assert.deepEqual(JSON.parse(JSON.stringify(diff)), {
+    patches: diff.patches,
+    inverse: diff.inverse,
+  });
+
+  // no changes
+  events.length = 0;
+  store.commit('counter', 0);
+  assert.deepEqual(events, [['commit', []], ['mutate', []]]);
+});
+
+test("patch.modes", async () => {
+  for (const type of ['strict', 'transactional', 'fluid']) {
+    const store = create({ type });
+    const log = [];
+    store.subscribe('dispatch', (state, name, diff) => log.push(diff.patches));
+    store.dispatch('increment');
+    assert.deepEqual(log, [[{ op: 'replace', path: '/counter', value: 1 }]], type);
+  }
+});
+
+test("patch.store", async () => {
+  const store = create();
+  const events = [];
+  store.subscribe('commit', (state, diff) => events.push(diff.patches.length));
+
+  // apply through commit lifecycle
+  const diff = store.applyPatch([
+    { op: 'replace', path: '/user/a~1b', value: 2 },
+    { op: 'add', path: '/items/-', value: 3 },
+  ]);
+  assert.equal(store.state.user['a/b'], 2);
+  assert.deepEqual(store.state.items, [1, 2, 3]);
+  assert.deepEqual(events, [2]);
+
+  // revert with inverse
+  store.applyPatch(diff.inverse);
+  assert.equal(store.state.user['a/b'], 1);
+  assert.deepEqual(store.state.items, [1, 2]);
+
+  // failed patches are rolled back
+  assert.throws(() => store.applyPatch([
+    { op: 'replace', path: '/counter', value: 5 },
+    { op: 'test', path: '/counter', value: 0 },
+  ]), /test failed/);
+  assert.equal(store.state.counter, 0);
+  assert.equal(store.stage.counter, 0);
+
+  // changes outside commits aren't included in patches
+  store.commit('counter', 2);
+  store.reset('counter');
+  assert.deepEqual(store.applyPatch([{ op: 'add', path: '/counter', value: 1 }]).patches, [
+    { op: 'replace', path: '/counter', value: 1 },
+  ]);
+});
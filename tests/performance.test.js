@@ -7,6 +7,7 @@
 // -------
 import { assert } from 'chai';
 import Store from '../src/store';
+import { clone } from '../src/utils';
 
 
 // config
@@ -96,3 +97,80 @@ test("performance.remove", async () => {
   const delta = Date.now() - start;
   assert.isBelow(delta, threshold);
 });
+
+test("performance.getters", async () => {
+  let calls = 0;
+  const items = [];
+  for (let i = 0; i < iterations; i += 1) {
+    items.push({ id: i, value: (i * 7919) % iterations });
+  }
+  const cached = new Store({
+    state: {
+      counter: 0,
+      items,
+    },
+    getters: {
+      sorted: (state) => {
+        calls += 1;
+        return state.items.slice().sort((a, b) => a.value - b.value);
+      },
+      rank: state => id => state.items.filter(item => item.value < state.items[id].value).length,
+    },
+  });
+
+  // time getters across unrelated commits
+  const start = Date.now();
+  for (let i = 0; i < iterations; i += 1) {
+    cached.commit('counter', i);
+    assert.equal(cached.get.sorted[0].value, 0);
+    assert.equal(cached.get.rank(10), 190);
+  }
+  const delta = Date.now() - start;
+  assert.equal(calls, 1);
+  assert.isBelow(delta, threshold);
+});
+
+test("performance.recurse", async () => {
+  const items = {};
+  const archive = {};
+  for (let i = 0; i < iterations; i += 1) {
+    archive[i] = { id: i, meta: { tags: ['a', 'b'], count: 0 } };
+    if (i < 100) {
+      items[i] = { id: i, meta: { tags: ['a', 'b'], count: 0 } };
+    }
+  }
+  const shared = new Store({
+    state: { items, archive },
+    mutations: {
+      increment(state, id) {
+        state.items[id].meta.count += 1;
+      },
+    },
+    options: {
+      recurse: true,
+    },
+  });
+
+  // time cloning state, which stores without `recurse` do for changes
+  const clones = 10;
+  let start = Date.now();
+  for (let i = 0; i < clones; i += 1) {
+    clone(shared.state);
+  }
+  const baseline = (Date.now() - start) / clones;
+
+  // time commits and rollbacks for single items in large state
+  const tags = shared.state.items[0].meta.tags;
+  const untouched = shared.state.archive;
+  start = Date.now();
+  for (let i = 0; i < iterations; i += 1) {
+    shared.commit('increment', i % 100);
+    shared.stage.items[i % 100].meta.count += 1;
+    shared.rollback();
+  }
+  const delta = (Date.now() - start) / iterations;
+  assert.equal(shared.state.items[99].meta.count, 10);
+  assert.equal(shared.state.items[0].meta.tags, tags);
+  assert.equal(shared.state.archive, untouched);
+  assert.isBelow(delta, baseline / 10);
+});
@@ -0,0 +1,184 @@
+/**
+ * Testing for state persistence.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../src/store';
+import {
+  MemoryAdapter, LocalStorageAdapter, SessionStorageAdapter, AsyncAdapter,
+} from '../src/persist';
+
+
+// config
+// ------
+function create(persist) {
+  return new Store({
+    state: {
+      status: 'off',
+      counter: 0,
+      token: null,
+    },
+    actions: {
+      login({ state }, token) {
+        state.status = 'on';
+        state.token = token;
+      },
+      increment({ state }) {
+        state.counter += 1;
+      },
+    },
+    options: {
+      persist,
+    },
+  });
+}
+
+
+// tests
+// -----
+test("persist.memory", async () => {
+  const adapter = new MemoryAdapter();
+  const store = create({ adapter });
+
+  // save on commit
+  store.apply.increment();
+  assert.deepEqual(adapter.get('auora'), { status: 'off', counter: 1, token: null });
+  store.commit('status', 'on');
+  assert.equal(adapter.get('auora').status, 'on');
+
+  // restore before backup
+  const other = create({ adapter });
+  assert.equal(other.state.counter, 1);
+  assert.equal(other.stage.counter, 1);
+  assert.equal(other.state.status, 'on');
+
+  // reset to defaults saves defaults
+  other.reset();
+  assert.equal(other.state.counter, 0);
+  assert.equal(adapter.get('auora').counter, 0);
+});
+
+test("persist.whitelist", async () => {
+  const adapter = new MemoryAdapter({ auora: { token: 'abc', counter: 5 } });
+  const store = create({ adapter, whitelist: ['counter'] });
+  assert.equal(store.state.counter, 5);
+  assert.isNull(store.state.token);
+
+  store.apply.login('def');
+  assert.deepEqual(adapter.get('auora'), { counter: 5 });
+});
+
+test("persist.blacklist", async () => {
+  const adapter = new MemoryAdapter();
+  const store = create({ adapter, key: 'session', blacklist: ['token'] });
+  store.apply.login('abc');
+  assert.deepEqual(adapter.get('session'), { status: 'on', counter: 0 });
+  assert.isUndefined(adapter.get('auora'));
+
+  // clear
+  store.persistence.clear();
+  assert.isUndefined(adapter.get('session'));
+
+  // invalid
+  assert.throws(() => create({ whitelist: ['counter'], blacklist: ['token'] }), /Cannot specify both/);
+});
+
+test("persist.storage", async () => {
+  window.localStorage.clear();
+  window.sessionStorage.clear();
+  const local = create({ adapter: new LocalStorageAdapter() });
+  const session = create({ adapter: new SessionStorageAdapter(), whitelist: ['token'] });
+
+  local.apply.increment();
+  session.apply.login('abc');
+  assert.deepEqual(JSON.parse(window.localStorage.getItem('auora')), {
+    status: 'off', counter: 1, token: null,
+  });
+  assert.deepEqual(JSON.parse(window.sessionStorage.getItem('auora')), { token: 'abc' });
+
+  // restore
+  assert.equal(create({ adapter: new LocalStorageAdapter() }).state.counter, 1);
+  assert.equal(create({ adapter: new SessionStorageAdapter() }).state.token, 'abc');
+});
+
+test("persist.async", async () => {
+  const data = { auora: { counter: 3 } };
+  const backend = {
+    get: key => new Promise(resolve => setTimeout(() => resolve(data[key]), 5)),
+    set: (key, value) => new Promise((resolve) => {
+      setTimeout(() => {
+        data[key] = JSON.parse(JSON.stringify(value));
+        resolve();
+      }, 5);
+    }),
+    remove: (key) => {
+      delete data[key];
+    },
+  };
+  const store = create({ adapter: new AsyncAdapter(backend) });
+  const events = [];
+  store.subscribe('commit', () => events.push('commit'));
+
+  // changes before restore aren't saved
+  assert.equal(store.state.counter, 0);
+  store.commit('status', 'on');
+  assert.deepEqual(data.auora, { counter: 3 });
+
+  // restore through commit
+  await store.ready;
+  assert.equal(store.state.counter, 3);
+  assert.equal(store.state.status, 'on');
+  assert.deepEqual(events, ['commit', 'commit']);
+
+  // save after restore
+  await store.apply.increment();
+  await store.persistence.save();
+  assert.deepEqual(data.auora, { status: 'on', counter: 4, token: null });
+
+  // manual restore
+  data.auora.counter = 10;
+  await store.persistence.hydrate();
+  assert.equal(store.state.counter, 10);
+});
+
+test("persist.errors", async () => {
+  const data = {};
+  let failures = 1;
+  const backend = {
+    get: () => Promise.reject(new Error('Error loading state.')),
+    set: (key, value) => {
+      if (failures > 0) {
+        failures -= 1;
+        return Promise.reject(new Error('Error saving state.'));
+      }
+      data[key] = value;
+      return Promise.resolve();
+    },
+    remove: () => {},
+  };
+  const adapter = new AsyncAdapter(backend);
+  const store = create({ adapter });
+  const errors = [];
+  store.subscribe('error', (state, err, event) => errors.push([err.message, event]));
+
+  // errors restoring state are reported
+  try {
+    await store.ready;
+    assert.fail('Expected error.');
+  } catch (err) {
+    assert.equal(err.message, 'Error loading state.');
+  }
+  assert.deepEqual(errors, [['Error loading state.', 'persist']]);
+
+  // failed writes are reported and don't stop later writes
+  store.persistence.hydrated = true;
+  store.commit('counter', 1);
+  await adapter.queue;
+  store.commit('counter', 2);
+  await adapter.queue;
+  assert.deepEqual(errors[1], ['Error saving state.', 'persist']);
+  assert.equal(data.auora.counter, 2);
+});
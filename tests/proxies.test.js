@@ -229,3 +229,35 @@ test("observable.subscribe", async () => {
   assert.deepEqual(track, ['baz.id', 'base']);
   track.splice(0, track.length);
 });
+
+test("observable.unsubscribe", async () => {
+  const track = [];
+  const obj = new Observable({
+    foo: 'bar',
+    bar: [1, 2],
+  });
+  const record = () => {
+    track.push('foo');
+  };
+  const dispose = obj.subscribe('foo', () => {
+    track.push('dispose');
+  });
+  obj.subscribe('foo', record);
+  const disposeArray = obj.bar.subscribe(() => {
+    track.push('bar');
+  });
+
+  // subscriptions active
+  obj.foo = 'test';
+  obj.bar.push(3);
+  assert.deepEqual(track, ['dispose', 'foo', 'bar']);
+  track.splice(0, track.length);
+
+  // remove subscriptions
+  dispose();
+  disposeArray();
+  obj.unsubscribe('foo', record);
+  obj.foo = 'other';
+  obj.bar.push(4);
+  assert.deepEqual(track, []);
+});
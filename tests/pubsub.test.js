@@ -0,0 +1,187 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import PubSub from '../src/pubsub';
+
+
+// tests
+// -----
+test("pubsub.publish", async () => {
+  const events = new PubSub();
+  assert.isTrue(events.empty);
+
+  // publish with payload
+  events.subscribe('update', value => value + 1);
+  events.subscribe('update', value => value + 2);
+  assert.isFalse(events.empty);
+  assert.deepEqual(events.publish('update', 1), [2, 3]);
+
+  // publish for unknown event
+  assert.deepEqual(events.publish('missing', 1), []);
+});
+
+test("pubsub.unsubscribe", async () => {
+  const events = new PubSub();
+  const track = [];
+  const first = () => track.push('first');
+  const second = () => track.push('second');
+
+  // disposer
+  const dispose = events.subscribe('update', first);
+  events.subscribe('update', second);
+  events.publish('update');
+  assert.deepEqual(track, ['first', 'second']);
+  dispose();
+  events.publish('update');
+  assert.deepEqual(track, ['first', 'second', 'second']);
+
+  // explicit unsubscribe
+  events.unsubscribe('update', second);
+  events.publish('update');
+  assert.deepEqual(track, ['first', 'second', 'second']);
+  assert.isTrue(events.empty);
+
+  // unsubscribe during publish
+  const once = () => {
+    track.push('once');
+    events.unsubscribe('update', once);
+  };
+  events.subscribe('update', once);
+  events.subscribe('update', second);
+  events.publish('update');
+  events.publish('update');
+  assert.deepEqual(track.slice(3), ['once', 'second', 'second']);
+
+  // disposers only remove their own subscription
+  events.clear();
+  track.length = 0;
+  events.subscribe('update', first);
+  const disposeLast = events.subscribe('update', first, { priority: -1 });
+  events.subscribe('update', second);
+  disposeLast();
+  events.publish('update');
+  assert.deepEqual(track, ['first', 'second']);
+});
+
+test("pubsub.clear", async () => {
+  const events = new PubSub();
+  const track = [];
+  events.subscribe('update', () => track.push('update'));
+  events.subscribe('delete', () => track.push('delete'));
+
+  // clear single event
+  events.clear('update');
+  events.publish('update');
+  events.publish('delete');
+  assert.deepEqual(track, ['delete']);
+
+  // clear all events
+  events.clear();
+  events.publish('delete');
+  assert.deepEqual(track, ['delete']);
+  assert.isTrue(events.empty);
+});
+
+test("pubsub.errors", async () => {
+  const errors = [];
+  const events = new PubSub({ onError: (err, event) => errors.push(['option', err.message, event]) });
+  events.subscribe('error', (err, event) => errors.push(['event', err.message, event]));
+
+  // all callbacks run
+  events.subscribe('update', () => {
+    throw new Error('first');
+  });
+  events.subscribe('update', value => value + 1);
+  assert.deepEqual(events.publish('update', 1), [undefined, 2]);
+  assert.deepEqual(errors, [['event', 'first', 'update'], ['option', 'first', 'update']]);
+
+  // errors in error callbacks aren't re-published
+  errors.length = 0;
+  events.subscribe('error', () => {
+    throw new Error('second');
+  });
+  events.publish('update', 1);
+  assert.deepEqual(errors.map(item => item[1]), ['first', 'second', 'first']);
+
+  // error callbacks can run once, and don't run wildcard callbacks
+  const local = new PubSub({ onError: () => {} });
+  const reported = [];
+  local.once('error', (err, event) => reported.push([err.message, event]));
+  local.subscribe('*', event => reported.push([event]));
+  local.subscribe('update', () => {
+    throw new Error('first');
+  });
+  local.publish('update');
+  local.publish('update');
+  assert.deepEqual(reported, [['update'], ['first', 'update'], ['update']]);
+  assert.deepEqual(local.listeners('error'), []);
+
+  // strict mode
+  const strict = new PubSub({ strict: true, onError: () => {} });
+  const track = [];
+  strict.subscribe('update', () => {
+    throw new Error('first');
+  });
+  strict.subscribe('update', () => {
+    throw new Error('second');
+  });
+  strict.subscribe('update', () => track.push('last'));
+  try {
+    strict.publish('update');
+    assert.fail();
+  } catch (err) {
+    assert.instanceOf(err, AggregateError);
+    assert.deepEqual(err.errors.map(item => item.message), ['first', 'second']);
+    assert.match(err.message, /first; second/);
+  }
+  assert.deepEqual(track, ['last']);
+});
+
+test("pubsub.options", async () => {
+  const events = new PubSub();
+  const track = [];
+
+  // once
+  events.once('update', value => track.push(['once', value]));
+  events.publish('update', 1);
+  events.publish('update', 2);
+  assert.deepEqual(track, [['once', 1]]);
+  assert.isTrue(events.empty);
+
+  // wildcard and namespaced events
+  track.length = 0;
+  events.subscribe('*', (event, value) => track.push(['*', event, value]));
+  events.subscribe('mutate', (name, value) => track.push(['mutate', name, value]));
+  events.subscribe('mutate:add', (name, value) => track.push(['mutate:add', name, value]));
+  events.publish('mutate:add', 'add', 1);
+  events.publish('mutate:remove', 'remove', 2);
+  assert.deepEqual(track, [
+    ['*', 'mutate:add', 'add'],
+    ['mutate', 'add', 1],
+    ['mutate:add', 'add', 1],
+    ['*', 'mutate:remove', 'remove'],
+    ['mutate', 'remove', 2],
+  ]);
+
+  // priority, then order of subscription
+  events.clear();
+  track.length = 0;
+  events.subscribe('update', () => track.push('low'), { priority: -1 });
+  events.subscribe('update', () => track.push('first'));
+  events.subscribe('update', () => track.push('high'), { priority: 1 });
+  events.subscribe('update', () => track.push('second'));
+  events.publish('update');
+  assert.deepEqual(track, ['high', 'first', 'second', 'low']);
+
+  // namespacing disabled
+  const plain = new PubSub({ namespaced: false });
+  plain.subscribe('user', () => track.push('user'));
+  plain.publish('user:1');
+  assert.equal(track.length, 4);
+});
+
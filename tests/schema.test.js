@@ -0,0 +1,145 @@
+/**
+ * Testing for state schema validation.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../src/store';
+import { Schema, JSONSchemaAdapter } from '../src/schema';
+
+
+// config
+// ------
+function create(options) {
+  return new Store({
+    state: {
+      counter: 0,
+      user: {
+        name: 'Alice',
+        email: null,
+      },
+      tags: [],
+      other: 'untyped',
+    },
+    mutations: {
+      update(state, user) {
+        Object.assign(state.user, user);
+      },
+    },
+    actions: {
+      load({ state }, payload) {
+        state.tags = payload.tags;
+        state.counter = payload.counter;
+      },
+    },
+    modules: {
+      profile: {
+        state: { age: 0 },
+        options: {
+          schema: { age: value => value >= 0 || 'must be positive' },
+        },
+      },
+    },
+    options: Object.assign({
+      schema: {
+        counter: 'number',
+        user: {
+          name: 'string',
+          email: 'string?',
+        },
+        tags: ['string|number'],
+      },
+    }, options),
+  });
+}
+
+
+// tests
+// -----
+test("schema.types", async () => {
+  const schema = new Schema({
+    id: 'number',
+    created: 'date?',
+    items: [{ value: 'any', done: 'boolean' }],
+    nested: new Schema({ key: 'null' }),
+  });
+  const data = {
+    id: 1, created: null, items: [{ value: 1, done: false }], nested: { key: null },
+  };
+  assert.deepEqual(schema.validate(data), []);
+
+  // errors with paths
+  data.id = '1';
+  data.items.push({ done: 1 });
+  data.nested.key = [];
+  assert.deepEqual(schema.validate(data), [
+    { path: ['id'], message: 'expected number but received string' },
+    { path: ['items', 1, 'done'], message: 'expected boolean but received number' },
+    { path: ['nested', 'key'], message: 'expected null but received array' },
+  ]);
+
+  // invalid specifications
+  assert.throws(() => new Schema({ id: 'integer' }).validate({}), /Invalid schema type `integer`/);
+  assert.throws(() => new Schema('number'), /Invalid schema/);
+});
+
+test("schema.store", async () => {
+  const store = create();
+  const events = [];
+  store.subscribe('rollback', () => events.push('rollback'));
+
+  // valid changes
+  store.commit('update', { email: 'a@b.com' });
+  assert.equal(store.state.user.email, 'a@b.com');
+  store.commit('other', 1);
+
+  // invalid changes from mutations are rolled back
+  assert.throws(() => store.commit('update', { name: 1 }), /Invalid state at `user.name` \(expected string but received number\)/);
+  assert.equal(store.state.user.name, 'Alice');
+  assert.equal(store.stage.user.name, 'Alice');
+  assert.deepEqual(events, ['rollback']);
+
+  // invalid changes from actions
+  let error;
+  try {
+    await store.dispatch('load', { tags: ['a', null], counter: 'one' });
+  } catch (err) {
+    error = err;
+  }
+  assert.match(error.message, /`counter` .* `tags.1`/);
+  assert.deepEqual(store.state.tags, []);
+  assert.equal(store.stage.counter, 0);
+
+  // modules
+  assert.throws(() => store.commit('profile/age', -1), /`age` \(must be positive\)/);
+  assert.equal(store.profile.state.age, 0);
+});
+
+test("schema.adapter", async () => {
+  // mock for validator compiled with ajv
+  const validator = (data) => {
+    validator.errors = null;
+    if (typeof data.counter !== 'number') {
+      validator.errors = [{ instancePath: '/counter', message: 'must be number' }];
+      return false;
+    }
+    return true;
+  };
+  const store = create({ schema: new JSONSchemaAdapter(validator) });
+  store.commit('counter', 1);
+  assert.throws(() => store.commit('counter', 'a'), /`counter` \(must be number\)/);
+  assert.equal(store.state.counter, 1);
+
+  // adapters for keys, with legacy paths
+  const legacy = new JSONSchemaAdapter((data) => {
+    legacy.validator.errors = [{ dataPath: "['first name']", message: 'is required' }];
+    return 'first name' in data;
+  });
+  const other = create({ schema: { user: legacy }, type: 'fluid' });
+  assert.throws(() => {
+    other.stage.user.name = 'Bob';
+  }, /`user.first name` \(is required\)/);
+  assert.equal(other.state.user.name, 'Alice');
+});
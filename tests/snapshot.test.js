@@ -0,0 +1,136 @@
+/**
+ * Testing for state snapshots and hydration.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../src/store';
+import Serializer from '../src/serialize';
+
+
+// config
+// ------
+function create(options) {
+  return new Store({
+    state: {
+      counter: 0,
+      created: new Date(0),
+      tags: new Set(),
+      users: new Map(),
+      note: undefined,
+    },
+    getters: {
+      double: state => state.counter * 2,
+    },
+    actions: {
+      increment({ state }) {
+        state.counter += 1;
+      },
+    },
+    modules: {
+      profile: {
+        state: { name: 'Alice' },
+      },
+    },
+    options: options || {},
+  });
+}
+
+
+// tests
+// -----
+test("snapshot.serializer", async () => {
+  const serializer = new Serializer();
+  const value = {
+    date: new Date(1000),
+    map: new Map([['a', { b: new Set([1]) }]]),
+    list: [undefined, null, NaN],
+    nested: { $type: 'Date', value: 1 },
+    html: '</script><script>alert("&")</script>\u2028',
+  };
+  const text = serializer.serialize(value);
+  assert.notMatch(text, /[<>&\u2028\u2029]/);
+
+  // round-trip
+  const result = serializer.deserialize(text);
+  assert.equal(result.date.getTime(), 1000);
+  assert.isTrue(result.map.get('a').b.has(1));
+  assert.deepEqual(result.list, [undefined, null, null]);
+  assert.deepEqual(result.nested, { $type: 'Date', value: 1 });
+  assert.equal(result.html, value.html);
+
+  // custom types
+  class Point {
+    constructor(x, y) {
+      this.x = x;
+      this.y = y;
+    }
+  }
+  const custom = new Serializer({
+    Point: {
+      test: item => item instanceof Point,
+      encode: item => [item.x, item.y],
+      decode: ([x, y]) => new Point(x, y),
+    },
+  });
+  const point = custom.deserialize(custom.serialize({ point: new Point(1, 2) })).point;
+  assert.instanceOf(point, Point);
+  assert.equal(point.y, 2);
+  assert.throws(() => serializer.deserialize('{"$type":"Point","value":[1,2]}'), /unknown type/);
+});
+
+test("snapshot.hydrate", async () => {
+  const server = create();
+  await server.apply.increment();
+  server.commit('tags', new Set(['a']));
+  server.commit('profile/name', 'Bob');
+  const payload = server.snapshot();
+  assert.equal(JSON.parse(payload).version, 1);
+
+  // replace state without actions
+  const client = create();
+  const events = [];
+  client.subscribe('dispatch', () => events.push('dispatch'));
+  client.subscribe('hydrate', () => events.push('hydrate'));
+  assert.equal(client.get.double, 0);
+  client.hydrate(payload);
+  assert.deepEqual(events, ['hydrate', 'hydrate']);
+  assert.equal(client.state.counter, 1);
+  assert.equal(client.stage.counter, 1);
+  assert.equal(client.get.double, 2);
+  assert.isTrue(client.state.tags.has('a'));
+  assert.instanceOf(client.state.created, Date);
+  assert.instanceOf(client.state.users, Map);
+  assert.isTrue('note' in client.state);
+  assert.equal(client.profile.state.name, 'Bob');
+
+  // reset to original state by default
+  client.reset();
+  assert.equal(client.state.counter, 0);
+  assert.equal(client.state.tags.size, 0);
+
+  // optionally reset to hydrated state
+  client.hydrate(payload, true);
+  client.commit('counter', 5);
+  client.reset();
+  assert.equal(client.state.counter, 1);
+
+  // invalid payloads
+  assert.throws(() => client.hydrate('{"version":0}'), /Unsupported snapshot version/);
+});
+
+test("snapshot.modes", async () => {
+  for (const options of [{ type: 'fluid' }, { recurse: true }, { history: true }]) {
+    const store = create(options);
+    store.hydrate(create({ type: 'strict' }).snapshot().replace('"counter":0', '"counter":3'));
+    await store.apply.increment();
+    assert.equal(store.state.counter, 4, JSON.stringify(options));
+    if (options.history) {
+      store.undo();
+      assert.equal(store.state.counter, 3);
+      assert.isFalse(store.canUndo);
+    }
+  }
+});
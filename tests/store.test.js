@@ -179,6 +179,54 @@ test("store.register", async () => {
   assert.isTrue(typeof store.get.getCount !== 'undefined');
 });
 
+test("store.unregister", async () => {
+  store.register({
+    state: {
+      registered: { value: true },
+    },
+    getters: {
+      getCount: state => state.counter,
+    },
+    actions: {
+      setCount({ state }, value) {
+        state.counter = value;
+      },
+    },
+  });
+  assert.equal(store.get.getCount, 0);
+  assert.isTrue(store.nested.includes('registered'));
+  assert.isTrue('registered' in store.mutations);
+
+  // unregister constructs and check event
+  const events = [];
+  const callback = (state, removed) => events.push(removed);
+  store.subscribe('unregister', callback);
+  const removed = store.unregister({
+    state: ['registered', 'missing'],
+    getters: ['getCount'],
+    actions: { setCount: null },
+  });
+  store.unsubscribe('unregister', callback);
+  assert.deepEqual(removed.state, ['registered']);
+  assert.deepEqual(events, [removed]);
+
+  // assert removed from store
+  assert.isTrue(typeof store.state.registered === 'undefined');
+  assert.isTrue(typeof store.stage.registered === 'undefined');
+  assert.isTrue(typeof store.backup.registered === 'undefined');
+  assert.isFalse(store.nested.includes('registered'));
+  assert.isFalse('registered' in store.mutations);
+  assert.isFalse('getCount' in store.cache);
+  assert.isTrue(typeof store.get.getCount === 'undefined');
+  assert.isTrue(typeof store.apply.setCount === 'undefined');
+  assert.isTrue('counter' in store.mutations);
+  assert.equal(store.status.current, 'idle');
+
+  // reset doesn't restore unregistered state
+  store.reset();
+  assert.isTrue(typeof store.state.registered === 'undefined');
+});
+
 test("store.reset", async () => {
   // change state
   store.apply.increment();
@@ -0,0 +1,155 @@
+/**
+ * Testing for watching paths in state.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import Store from '../src/store';
+
+
+// config
+// ------
+function create(options) {
+  return new Store({
+    state: {
+      counter: 0,
+      user: {
+        name: 'Alice',
+        roles: ['admin'],
+      },
+      items: [
+        { id: 1, done: false },
+        { id: 2, done: false },
+      ],
+    },
+    mutations: {
+      rename(state, name) {
+        state.user.name = name;
+      },
+      toggle(state, index) {
+        state.items[index].done = !state.items[index].done;
+      },
+      append(state, item) {
+        state.items.push(item);
+      },
+    },
+    actions: {
+      update({ commit }, name) {
+        commit('rename', name);
+        commit('counter', 1);
+      },
+    },
+    modules: {
+      profile: {
+        state: { email: null },
+      },
+    },
+    options: options || {},
+  });
+}
+
+
+// tests
+// -----
+test("watch.path", async () => {
+  const store = create();
+  const log = [];
+  store.watch('user.name', (value, old, path) => log.push([path, old, value]));
+
+  // changes at path
+  store.commit('rename', 'Bob');
+  assert.deepEqual(log, [['user.name', 'Alice', 'Bob']]);
+
+  // changes elsewhere and unchanged values
+  store.commit('counter', 1);
+  store.commit('rename', 'Bob');
+  store.commit('user', { name: 'Bob', roles: [] });
+  assert.equal(log.length, 1);
+
+  // changes from actions
+  await store.dispatch('update', 'Carol');
+  assert.deepEqual(log[1], ['user.name', 'Bob', 'Carol']);
+});
+
+test("watch.wildcard", async () => {
+  const store = create();
+  const log = [];
+  store.watch('items.*.done', (value, old, path) => log.push([path, old, value]));
+  store.watch('*', (value, old, path) => log.push([path]));
+
+  store.commit('toggle', 1);
+  assert.deepEqual(log, [['items.1.done', false, true], ['items']]);
+
+  // added keys
+  log.length = 0;
+  store.commit('append', { id: 3, done: true });
+  assert.deepEqual(log, [['items.2.done', undefined, true], ['items']]);
+});
+
+test("watch.remove", async () => {
+  const store = create();
+  const log = [];
+  const callback = value => log.push(value);
+  const remove = store.watch('counter', callback);
+  store.watch('profile/email', callback);
+
+  // module paths
+  store.commit('profile/email', 'a@b.com');
+  store.commit('counter', 1);
+  assert.deepEqual(log, ['a@b.com', 1]);
+
+  // remove watchers
+  remove();
+  store.unwatch('profile/email', callback);
+  store.commit('counter', 2);
+  store.commit('profile/email', null);
+  assert.deepEqual(log, ['a@b.com', 1]);
+
+  // removers only remove their own watcher
+  store.watch('counter', callback);
+  store.watch('counter', callback)();
+  store.commit('counter', 3);
+  assert.deepEqual(log, ['a@b.com', 1, 3]);
+});
+
+test("watch.reset", async () => {
+  const store = create({ history: true });
+  const log = [];
+  store.watch('counter', (value, old) => log.push([old, value]));
+
+  store.commit('counter', 1);
+  store.undo();
+  store.redo();
+  store.reset();
+  assert.deepEqual(log, [[0, 1], [1, 0], [0, 1], [1, 0]]);
+});
+
+test("watch.errors", async () => {
+  const store = create();
+  const log = [];
+  const errors = [];
+  store.subscribe('commit', () => log.push('commit'));
+  store.subscribe('error', (state, err, event) => errors.push([err.message, event]));
+  store.watch('counter', () => {
+    throw new Error('Error in watcher.');
+  });
+  store.watch('counter', value => log.push(value));
+
+  // errors are reported without interrupting commits
+  store.commit('counter', 1);
+  assert.equal(store.state.counter, 1);
+  assert.equal(store.status.current, 'idle');
+  assert.deepEqual(log, [1, 'commit']);
+  assert.deepEqual(errors, [['Error in watcher.', 'watch:counter']]);
+});
+
+test("watch.fluid", async () => {
+  const store = create({ type: 'fluid' });
+  const log = [];
+  store.watch('user.roles', (value, old) => log.push([old, value]));
+
+  store.stage.user.roles.push('editor');
+  assert.deepEqual(log, [[['admin'], ['admin', 'editor']]]);
+});